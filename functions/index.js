@@ -5,9 +5,13 @@ import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import * as cheerio from 'cheerio';
 import pako from 'pako';
 import fs from 'node:fs';
+import { createHash } from 'node:crypto';
 import path from 'node:path';
 import { fileURLToPath } from 'url';
 import { HttpsProxyAgent } from 'https-proxy-agent';
+import { validateRun, VERDICT_INVALID, VERDICT_SUSPICIOUS, MAX_CONTINUED_SONGS } from './runValidation.js';
+import { scoreLyricDifficulty, DIFFICULTY_VERSION } from './songDifficulty.js';
+import { extractLyricsDocument } from './lyricsDocument.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -808,6 +812,21 @@ function extractArtistImageUrl(songs, targetArtistId, maxSongsToCheck = 11) {
     return null;
 }
 
+/**
+ * Format Genius release_date_components as YYYY, YYYY-MM or YYYY-MM-DD, so dates sort as strings
+ * @param {Object|null} components - { year, month, day }, any of which may be null
+ * @returns {string|null}
+ */
+function formatReleaseDate(components) {
+    if (!components?.year) return null;
+    const parts = [String(components.year).padStart(4, '0')];
+    if (components.month) {
+        parts.push(String(components.month).padStart(2, '0'));
+        if (components.day) parts.push(String(components.day).padStart(2, '0'));
+    }
+    return parts.join('-');
+}
+
 /**
  * Fetch song metadata from Genius API for a specific artist page
  * @param {number} artistId - Genius artist ID
@@ -852,6 +871,9 @@ async function getSongsByArtist(artistId, page = 1) {
                 name: song.primary_artist.name,
                 url: song.primary_artist.url
             },
+            // Queue ordering fields (release date and popularity)
+            releaseDate: formatReleaseDate(song.release_date_components),
+            pageviews: song.stats?.pageviews ?? null,
             // Lyrics fields - initially null
             lyrics: null,
             lyricsScrapedAt: null,
@@ -909,7 +931,8 @@ function extractGeniusImageHash(imageUrl) {
 }
 
 /**
- * Store song documents in Firestore songs collection
+ * Store song documents in Firestore songs collection.
+ * Songs that already exist get their `difficulty` set from the stored doc (scored here if missing).
  * @param {Object[]} songs - Array of song objects
  * @returns {Promise<string[]>} Array of song IDs that were stored
  */
@@ -946,6 +969,15 @@ async function storeSongsInFirestore(songs) {
             } else {
                 console.log(`Song ${song.id} already exists, skipping: ${song.title}`);
                 storedSongIds.push(song.id); // Still include in list since it's available
+                
+                // Score songs that were scraped before difficulty existed, or under an older model
+                const existingData = existingDoc.data();
+                song.difficulty = existingData.difficulty ?? null;
+                if (existingData.lyrics && existingData.difficultyVersion !== DIFFICULTY_VERSION) {
+                    song.difficulty = scoreLyricDifficulty(existingData.lyrics);
+                    batch.update(songRef, { difficulty: song.difficulty, difficultyVersion: DIFFICULTY_VERSION });
+                    console.log(`Scored difficulty of song ${song.id}: ${song.difficulty}`);
+                }
             }
         }
         
@@ -997,7 +1029,8 @@ async function checkAndProcessAlbumArt(imageUrl, albumArtId) {
  * Update artist document with new song IDs and metadata
  * @param {string} artistUrlKey - Artist document ID (URL slug)
  * @param {string[]} newSongIds - Array of new song IDs to add
- * @param {Object} metadata - Additional metadata to update
+ * @param {Object} metadata - Additional metadata to update; `songMeta` holds { title, releaseDate, pageviews }
+ *                            by song ID for ordering the client queue
  */
 async function updateArtistSongList(artistUrlKey, newSongIds, metadata) {
     console.log(`Updating artist ${artistUrlKey} with ${newSongIds.length} new songs`);
@@ -1017,8 +1050,17 @@ async function updateArtistSongList(artistUrlKey, newSongIds, metadata) {
         // Filter out song IDs that are already in the artist's list
         const trulyNewSongIds = newSongIds.filter(id => !existingSongIds.includes(id));
         
+        // Song metadata is refreshed even for known songs, since pageviews change and older docs lack it
+        const songMetaFields = {};
+        for (const [songId, meta] of Object.entries(metadata.songMeta || {})) {
+            songMetaFields[`songMeta.${songId}`] = meta;
+        }
+        
         if (trulyNewSongIds.length === 0) {
             console.log('No new song IDs to add to artist document');
+            if (Object.keys(songMetaFields).length > 0) {
+                await artistRef.update(songMetaFields);
+            }
             return;
         }
         
@@ -1028,7 +1070,8 @@ async function updateArtistSongList(artistUrlKey, newSongIds, metadata) {
             totalSongs: metadata.totalSongs,
             songsLastUpdated: new Date(),
             isFullyCached: metadata.isFullyCached || false,
-            cacheVersion: 1
+            cacheVersion: 1,
+            ...songMetaFields
         };   
         
         await artistRef.update(updateData);
@@ -1250,7 +1293,13 @@ async function populateArtistSongsCore(artistUrlKey, { onlyFirstPage = false } =
         await updateArtistSongList(artistUrlKey, storedSongIds, {
             songsFetched: allSongIds.length,
             totalSongs: allSongIds.length,
-            isFullyCached: !result.hasMore
+            isFullyCached: !result.hasMore,
+            songMeta: Object.fromEntries(result.songs.map(song => [song.id, {
+                title: song.title,
+                releaseDate: song.releaseDate,
+                pageviews: song.pageviews,
+                difficulty: song.difficulty ?? null
+            }]))
         });
         
         console.log(`Page ${page} complete: ${newSongIds.length} new songs, ${allSongIds.length} total`);
@@ -1401,7 +1450,7 @@ async function scrapeSongLyricsCore(songIds, artistUrlKey) {
             });
             
             // Use existing lyrics scraping logic
-            const lyrics = await scrapeLyricsFromUrl(songData.url);
+            const { lyrics, sections } = await scrapeLyricsFromUrl(songData.url);
             
             if (lyrics && lyrics.trim().length > 0) {
                 // Process album art now that we know this song will be used
@@ -1416,21 +1465,27 @@ async function scrapeSongLyricsCore(songIds, artistUrlKey) {
                     }
                 }
                 
+                const difficulty = scoreLyricDifficulty(lyrics);
+                
                 // Update song document with lyrics
                 await db.collection('songs').doc(songId).update( {
                     lyrics: lyrics,
+                    lyricsSections: sections,
                     lyricsScrapedAt: new Date(),
                     scrapingStatus: 'completed',
-                    scrapingError: null
+                    scrapingError: null,
+                    difficulty,
+                    difficultyVersion: DIFFICULTY_VERSION
                 });
                 
                 results.successful.push(songId);
-                console.log(`Successfully scraped lyrics for song ${songId}: ${songData.title}`);
+                console.log(`Successfully scraped lyrics for song ${songId}: ${songData.title} (difficulty ${difficulty})`);
                 
                 // Update artist cachedSongIds immediately for real-time access
                 await db.collection('artists').doc(artistUrlKey).update( {
                     cachedSongIds: FieldValue.arrayUnion(songId),
-                    lyricsScraped: FieldValue.increment(1)
+                    lyricsScraped: FieldValue.increment(1),
+                    [`songMeta.${songId}.difficulty`]: difficulty
                 });
             } else {
                 throw new Error('No lyrics found or empty lyrics');
@@ -1548,9 +1603,10 @@ export const scrapeSongLyrics = onCall({
  * Scrape only the actual lyrics from a Genius song URL
  * This function extracts ONLY the actual song lyrics, avoiding annotations,
  * descriptions, and other non-lyrical content from the start.
+ * Section headers ([Verse], [Chorus: Artist], ...) are kept as metadata alongside the text.
  * 
  * @param {string} songUrl - The Genius song URL
- * @returns {Promise<string>} The complete extracted lyrics
+ * @returns {Promise<{ lyrics: string, sections: Array<Object> }>} The complete extracted lyrics and their sections
  */
 async function scrapeLyricsFromUrl(songUrl) {
     try {
@@ -1594,72 +1650,15 @@ async function scrapeLyricsFromUrl(songUrl) {
 
         console.log(`Found ${lyricsContainers.length} lyrics container(s)`);
         
-        let allLyricsText = '';
-        
-        // Process each lyrics container
-        lyricsContainers.each((index, container) => {
-            const $container = $(container);
-            
-            // Remove elements that should be excluded from lyrics
-            $container.find('[data-exclude-from-selection="true"]').remove();
-            
-            // Remove headers, footers, and annotation elements
-            $container.find('.LyricsHeader__Container, .LyricsFooter__Container').remove();
-            $container.find('a[href*="/annotations/"]').remove();
-            
-            // Get the raw text content, preserving line breaks
-            let containerText = $container.html() || '';
-            
-            // Convert HTML to clean text
-            containerText = containerText
-                // Convert <br> tags to newlines
-                .replace(/<br\s*\/?>/gi, '\n')
-                // Remove all HTML tags completely (including <i>, section headers, etc.)
-                .replace(/<[^>]*>/gi, '')
-                // Decode HTML entities
-                .replace(/&amp;/g, '&')
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&quot;/g, '"')
-                .replace(/&#x27;/g, "'")
-                .replace(/&nbsp;/g, ' ')
-                // Clean up whitespace
-                .split('\n')
-                .map(line => line.trim())
-                .filter(line => {
-                    // Filter out section headers and empty lines
-                    if (!line) return false;
-                    if (line.match(/^\[.*\]$/)) return false; // Remove [Intro], [Verse], etc.
-                    if (line.match(/^(Intro|Verse|Chorus|Bridge|Outro|Pre-Chorus|Post-Chorus|Hook|Refrain)(\s|\d|$)/i)) return false;
-                    return true;
-                })
-                .join('\n');
-            
-            if (containerText.trim()) {
-                if (allLyricsText) allLyricsText += '\n\n';
-                allLyricsText += containerText.trim();
-            }
-        });
-        
-        // Final cleanup
-        let lyrics = allLyricsText
-            // Remove multiple consecutive newlines
-            .replace(/\n{3,}/g, '\n\n')
-            // Remove any remaining section markers that might have slipped through
-            .replace(/^\[.*\]$/gm, '')
-            // Clean up any remaining whitespace issues
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            .join('\n')
-            .trim();
+        // Split headers out of the text and record them as sections
+        const { lyrics, sections } = extractLyricsDocument($, lyricsContainers);
 
         if (!lyrics || lyrics.length < 10) {
             throw new Error('Extracted lyrics are too short or empty');
         }
 
-        console.log(`Successfully scraped ${lyrics.length} characters of clean lyrics`);
-        return lyrics;
+        console.log(`Successfully scraped ${lyrics.length} characters of clean lyrics in ${sections.length} sections`);
+        return { lyrics, sections };
 
     } catch (error) {
         console.error(`Error scraping lyrics from ${songUrl}:`, error);
@@ -1813,6 +1812,331 @@ export const loadStartingFromId = onCall({
     }
 });
 
+// ========================================
+// DAILY CHALLENGE
+// ========================================
+
+const DAILY_LINE_COUNT = 4;
+const DAILY_MAX_CANDIDATES = 25; // Songs tried before giving up on a day
+
+// UTC calendar day, e.g. "2025-01-31"
+function getUtcDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Stable 32-bit numbers derived from the date, so every instance picks the same song and window
+function dailySeed(dateKey, salt) {
+    return createHash('sha256').update(`daily:${dateKey}:${salt}`).digest().readUInt32BE(0);
+}
+
+/**
+ * Pick the challenge for a day: a cached song and a fixed window of consecutive lyric lines.
+ * Candidates are ordered by song ID, so the same set of cached songs always gives the same pick.
+ * @param {string} dateKey - UTC day
+ * @returns {Promise<Object|null>} Challenge document, or null when no cached song is long enough
+ */
+async function pickDailyChallenge(dateKey) {
+    const snapshot = await db.collection('songs')
+        .where('scrapingStatus', '==', 'completed')
+        .select()
+        .get();
+    const songIds = snapshot.docs.map(doc => doc.id).sort();
+    if (songIds.length === 0) return null;
+
+    const start = dailySeed(dateKey, 'song') % songIds.length;
+    for (let attempt = 0; attempt < Math.min(DAILY_MAX_CANDIDATES, songIds.length); attempt++) {
+        const songId = songIds[(start + attempt) % songIds.length];
+        const songDoc = await db.collection('songs').doc(songId).get();
+        const songData = songDoc.data();
+        if (!songData?.lyrics) continue;
+
+        const lines = songData.lyrics.split('\n').filter(line => line.trim().length > 0);
+        if (lines.length < DAILY_LINE_COUNT) continue;
+
+        const firstLine = dailySeed(dateKey, songId) % (lines.length - DAILY_LINE_COUNT + 1);
+        const lineIndices = Array.from({ length: DAILY_LINE_COUNT }, (_, i) => firstLine + i);
+
+        // The artist whose cache holds the song, so results link back to it like any other run
+        const artistSnapshot = await db.collection('artists')
+            .where('cachedSongIds', 'array-contains', songId)
+            .limit(1)
+            .get();
+
+        return {
+            date: dateKey,
+            songId,
+            title: songData.title,
+            artist: songData.primaryArtist?.name || songData.artistNames,
+            primaryArtist: songData.primaryArtist?.name || null,
+            artistUrlKey: artistSnapshot.empty ? null : artistSnapshot.docs[0].id,
+            lyrics: lineIndices.map(i => lines[i]).join('\n'),
+            lineIndices,
+            image: songData.songArtImageUrl || null,
+            albumArtId: songData.albumArtId || null,
+            url: songData.url || null,
+            createdAt: new Date()
+        };
+    }
+    return null;
+}
+
+/**
+ * Today's daily challenge, shared by every user.
+ * The first call of a UTC day picks it and stores it in `dailyChallenges/{date}`, so the
+ * challenge stays the same for the whole day even as more songs get cached.
+ */
+export const getDailyChallenge = onCall({
+    timeoutSeconds: 60,
+    minInstances: 0,
+    maxInstances: 20,
+    region: 'us-central1'
+}, async (request, context) => {
+    const dateKey = getUtcDateKey();
+    const challengeRef = db.collection('dailyChallenges').doc(dateKey);
+
+    try {
+        const existing = await challengeRef.get();
+        if (existing.exists) {
+            return { success: true, challenge: existing.data() };
+        }
+
+        const challenge = await pickDailyChallenge(dateKey);
+        if (!challenge) {
+            throw new HttpsError('not-found', 'No cached songs available for a daily challenge');
+        }
+
+        try {
+            await challengeRef.create(challenge);
+        } catch (createError) {
+            // Another instance stored today's challenge first; serve that one
+            const stored = await challengeRef.get();
+            if (stored.exists) return { success: true, challenge: stored.data() };
+            throw createError;
+        }
+
+        console.log(`📅 Daily challenge for ${dateKey}: ${challenge.title} (lines ${challenge.lineIndices[0]}-${challenge.lineIndices[DAILY_LINE_COUNT - 1]})`);
+        return { success: true, challenge };
+
+    } catch (error) {
+        console.error(`Error getting daily challenge for ${dateKey}:`, error);
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        throw new HttpsError('internal', `Failed to get daily challenge: ${error.message}`);
+    }
+});
+
+// ========================================
+// LEADERBOARDS
+// ========================================
+
+const LEADERBOARD_SCOPES = { song: 'songId', artist: 'artistUrlKey', day: 'day' };
+const LEADERBOARD_MAX_LIMIT = 50;
+
+function cleanPlayerName(name) {
+    const cleaned = String(name || '').replace(/[^\p{L}\p{N} _.-]/gu, '').trim().slice(0, 20);
+    return cleaned || 'Anonymous';
+}
+
+// Submissions allowed per signed-in user in each window; well above what one person finishes
+const SUBMIT_WINDOW_MS = 10 * 60 * 1000;
+const SUBMIT_LIMIT_PER_WINDOW = 30;
+
+/**
+ * Count a submission against the user's window in `scoreSubmitters/{uid}`.
+ * @returns {Promise<boolean>} false when the user has used up the current window
+ */
+async function takeSubmitSlot(uid) {
+    const ref = db.collection('scoreSubmitters').doc(uid);
+    return db.runTransaction(async transaction => {
+        const snap = await transaction.get(ref);
+        const now = Date.now();
+        const { windowStart = 0, count = 0 } = snap.exists ? snap.data() : {};
+        if (now - windowStart >= SUBMIT_WINDOW_MS) {
+            transaction.set(ref, { windowStart: now, count: 1 });
+            return true;
+        }
+        if (count >= SUBMIT_LIMIT_PER_WINDOW) return false;
+        transaction.update(ref, { count: count + 1 });
+        return true;
+    });
+}
+
+// A run only counts for an artist board when the artist doc lists its song
+async function artistHasSong(artistUrlKey, songId) {
+    if (typeof artistUrlKey !== 'string' || !artistUrlKey || artistUrlKey.includes('/')) return false;
+    const artistDoc = await db.collection('artists').doc(artistUrlKey).get();
+    if (!artistDoc.exists) return false;
+    const { songIds = [], cachedSongIds = [] } = artistDoc.data();
+    return [...songIds, ...cachedSongIds].some(id => String(id) === songId);
+}
+
+// Flagged runs keep their keystroke log for review, deflated so it stays well under Firestore's 1 MiB document limit
+const FLAGGED_LOG_MAX_BYTES = 512 * 1024;
+
+/**
+ * Compress a keystroke log for a flagged score. Logs still too big once compressed keep
+ * only their earliest events, halving until they fit.
+ * @returns {{ keystrokeLogData: string|null, compressionMethod: string, keystrokeLogEvents: number, keystrokeLogStored: number }}
+ */
+function compressKeystrokeLog(log) {
+    const events = log.events;
+    let kept = events.length;
+    let data = '';
+    do {
+        const compressed = pako.deflate(JSON.stringify({ ...log, events: events.slice(0, kept) }));
+        data = Buffer.from(compressed).toString('base64');
+        if (data.length <= FLAGGED_LOG_MAX_BYTES) break;
+        kept = Math.floor(kept / 2);
+    } while (kept > 0);
+
+    return {
+        keystrokeLogData: kept > 0 ? data : null,
+        compressionMethod: 'pako-deflate',
+        keystrokeLogEvents: events.length,
+        keystrokeLogStored: kept
+    };
+}
+
+/**
+ * Submit a completed run to the leaderboards.
+ * The run is replayed server-side against the song's stored lyrics (see runValidation.js).
+ * Valid runs are stored in `scores` with the recomputed WPM and accuracy; suspicious runs are
+ * kept in `flaggedScores` for review instead of being ranked. Callers must be signed in (a guest
+ * account is enough), and each user may submit SUBMIT_LIMIT_PER_WINDOW runs per window.
+ */
+export const submitScore = onCall({
+    timeoutSeconds: 30,
+    minInstances: 0,
+    maxInstances: 20,
+    region: 'us-central1'
+}, async (request, context) => {
+    const run = request.data || {};
+
+    if (!request.auth?.uid) {
+        throw new HttpsError('unauthenticated', 'Sign in (a guest account is enough) to submit scores');
+    }
+    if (!run.songId || !run.testMode) {
+        throw new HttpsError('invalid-argument', 'Song ID and test mode are required');
+    }
+
+    try {
+        if (!await takeSubmitSlot(request.auth.uid)) {
+            throw new HttpsError('resource-exhausted', 'Too many scores submitted, try again in a few minutes');
+        }
+
+        const songId = String(run.songId);
+        const songDoc = await db.collection('songs').doc(songId).get();
+        if (!songDoc.exists || !songDoc.data().lyrics) {
+            throw new HttpsError('not-found', 'Song lyrics not found');
+        }
+        const song = songDoc.data();
+
+        const artistUrlKey = run.artistUrlKey || null;
+        if (artistUrlKey && !await artistHasSong(artistUrlKey, songId)) {
+            const reasons = [{ code: 'unknown-artist', message: 'The song is not part of that artist', severity: VERDICT_INVALID }];
+            console.warn(`Rejected score for song ${songId}: unknown-artist ${artistUrlKey}`);
+            return { success: true, accepted: false, verdict: VERDICT_INVALID, reasons };
+        }
+
+        // Timed and word-count runs may have run on into later songs; their lines are checked too
+        const continuedLyrics = {};
+        const continuedIds = Array.isArray(run.continuedSongs) ? run.continuedSongs.slice(0, MAX_CONTINUED_SONGS).map(song => String(song?.songId)) : [];
+        for (const continuedId of new Set(continuedIds)) {
+            const continuedDoc = await db.collection('songs').doc(continuedId).get();
+            if (continuedDoc.exists && continuedDoc.data().lyrics) {
+                continuedLyrics[continuedId] = continuedDoc.data().lyrics;
+            }
+        }
+
+        const { verdict, reasons, metrics } = validateRun(run, song.lyrics, continuedLyrics);
+        if (verdict === VERDICT_INVALID) {
+            console.warn(`Rejected score for song ${run.songId}:`, reasons.map(reason => reason.code).join(', '));
+            return { success: true, accepted: false, verdict, reasons };
+        }
+
+        const score = {
+            // Song details come from the stored song, never from the client
+            songId,
+            title: String(song.title || '').slice(0, 200),
+            artist: String(song.primaryArtist?.name || song.artist || song.artistNames || '').slice(0, 200),
+            artistUrlKey,
+            testMode: String(run.testMode),
+            strictness: run.strictness || null,
+            errorMode: run.errorMode || null,
+            playerName: cleanPlayerName(run.playerName),
+            wpm: Math.round(metrics.wpm * 100) / 100,
+            accuracy: Math.round(metrics.accuracy * 100) / 100,
+            day: getUtcDateKey(),
+            submittedAt: new Date()
+        };
+
+        if (verdict === VERDICT_SUSPICIOUS) {
+            await db.collection('flaggedScores').add({ ...score, reasons, ...compressKeystrokeLog(run.keystrokeLog) });
+            console.warn(`Flagged score for song ${run.songId}:`, reasons.map(reason => reason.code).join(', '));
+            return { success: true, accepted: false, verdict, reasons };
+        }
+
+        const scoreRef = await db.collection('scores').add(score);
+        console.log(`🏆 Score ${scoreRef.id}: ${score.playerName} ${score.wpm} wpm on ${score.title}`);
+        return { success: true, accepted: true, verdict, reasons, scoreId: scoreRef.id, wpm: score.wpm };
+
+    } catch (error) {
+        console.error(`Error saving score for song ${run.songId}:`, error);
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        throw new HttpsError('internal', `Failed to save score: ${error.message}`);
+    }
+});
+
+/**
+ * Top runs for a song, an artist or a UTC day, in one test mode.
+ * Needs the composite indexes in firestore.indexes.json.
+ */
+export const getLeaderboard = onCall({
+    timeoutSeconds: 30,
+    minInstances: 0,
+    maxInstances: 20,
+    region: 'us-central1'
+}, async (request, context) => {
+    const { scope, key, testMode, limit = 10 } = request.data || {};
+    const field = LEADERBOARD_SCOPES[scope];
+
+    if (!field || !key || !testMode) {
+        throw new HttpsError('invalid-argument', 'A scope (song, artist or day), key and test mode are required');
+    }
+
+    try {
+        const snapshot = await db.collection('scores')
+            .where(field, '==', String(key))
+            .where('testMode', '==', testMode)
+            .orderBy('wpm', 'desc')
+            .limit(Math.max(1, Math.min(LEADERBOARD_MAX_LIMIT, Number(limit) || 10)))
+            .get();
+
+        return {
+            success: true,
+            scores: snapshot.docs.map(doc => {
+                const score = doc.data();
+                return {
+                    id: doc.id,
+                    playerName: score.playerName,
+                    wpm: score.wpm,
+                    accuracy: score.accuracy,
+                    title: score.title,
+                    artist: score.artist,
+                    day: score.day
+                };
+            })
+        };
+
+    } catch (error) {
+        console.error(`Error loading ${scope} leaderboard for ${key}:`, error);
+        throw new HttpsError('internal', `Failed to load leaderboard: ${error.message}`);
+    }
+});
+
 // ========================================
 // LEGACY FUNCTIONS (Keep for backward compatibility during transition)
 // ========================================
@@ -2046,6 +2370,7 @@ export const getArtistInfo = onCall({
                 totalSongs: (artistData.songIds || []).length,
                 cachedSongs: (artistData.cachedSongIds || []).length,
                 songIds: artistData.songIds || [],
+                songMeta: artistData.songMeta || {},
                 lastUpdated: artistData.songsLastUpdated,
                 isFullyCached: artistData.isFullyCached || false
             }
@@ -2177,13 +2502,14 @@ export const testLyricsScraping = onCall({
         console.log(`Testing lyrics scraping for URL: ${testUrl}`);
         
         const startTime = Date.now();
-        const lyrics = await scrapeLyricsFromUrl(testUrl);
+        const { lyrics, sections } = await scrapeLyricsFromUrl(testUrl);
         const duration = Date.now() - startTime;
         
         return {
             success: true,
             url: testUrl,
             lyrics: lyrics,
+            sections: sections,
             lyricsLength: lyrics.length,
             lyricsLines: lyrics.split('\n').length,
             scrapingDuration: duration
@@ -0,0 +1,101 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Runs submitScore and getLeaderboard against the Firestore emulator. `npm test` skips it;
+// `npm run test:emulator` starts the emulator and runs it.
+const needsEmulator = !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:emulator)';
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-lyrictype';
+
+const LYRICS = [
+    'Hello darkness, my old friend',
+    '',
+    "I've come to talk with you again"
+].join('\n');
+const EXCERPT = "Hello darkness, my old friend\nI've come to talk with you again";
+
+// Human-ish rhythm, as in runValidation.test.js
+function typeText(text) {
+    const events = [];
+    let t = 0;
+    [...text].forEach((char, i) => {
+        if (i > 0) t += 120 + ((i * 37) % 110);
+        events.push({ t, type: 'key', pos: i, removed: 0, text: char });
+    });
+    return { version: 1, origin: 0, events };
+}
+
+let functionsTest = null;
+after(() => functionsTest?.cleanup());
+
+// firebase-functions-test has to set up the environment before index.js initializes the Admin SDK
+async function loadFunctions() {
+    if (!functionsTest) {
+        const { default: initFunctionsTest } = await import('firebase-functions-test');
+        functionsTest = initFunctionsTest({ projectId: PROJECT_ID });
+    }
+    const { submitScore, getLeaderboard } = await import('./index.js');
+    const { getFirestore } = await import('firebase-admin/firestore');
+    return { submitScore, getLeaderboard, db: getFirestore() };
+}
+
+function runData(songId, overrides = {}) {
+    return {
+        songId,
+        title: 'Some Other Title',
+        artistUrlKey: 'simon-and-garfunkel',
+        testMode: 'excerpt',
+        errorMode: 'free',
+        excerpt: EXCERPT,
+        displayLineIndices: [0, 1],
+        keystrokeLog: typeText(EXCERPT),
+        punctuation: true,
+        continuedSongs: [],
+        playerName: 'Emulator',
+        ...overrides
+    };
+}
+
+async function addSong(db) {
+    const songId = `emulator-test-${Date.now()}`;
+    await db.collection('songs').doc(songId).set({
+        title: 'The Sound of Silence',
+        primaryArtist: { name: 'Simon & Garfunkel' },
+        lyrics: LYRICS
+    });
+    await db.collection('artists').doc('simon-and-garfunkel').set({ songIds: [songId] }, { merge: true });
+    return songId;
+}
+
+test('a submitted run is ranked on its song leaderboard', { skip: needsEmulator }, async () => {
+    const { submitScore, getLeaderboard, db } = await loadFunctions();
+    const songId = await addSong(db);
+
+    const submitted = await functionsTest.wrap(submitScore)({
+        auth: { uid: 'emulator-tester' },
+        data: runData(songId)
+    });
+    assert.equal(submitted.accepted, true, JSON.stringify(submitted.reasons));
+    assert.equal(submitted.verdict, 'valid');
+
+    const board = await functionsTest.wrap(getLeaderboard)({
+        data: { scope: 'song', key: songId, testMode: 'excerpt' }
+    });
+    assert.equal(board.scores.length, 1);
+    assert.equal(board.scores[0].id, submitted.scoreId);
+    assert.equal(board.scores[0].playerName, 'Emulator');
+    assert.equal(board.scores[0].title, 'The Sound of Silence'); // The stored title, not the client's
+    assert.equal(board.scores[0].wpm, submitted.wpm);
+    assert.equal(board.scores[0].accuracy, 100);
+});
+
+test('runs need a signed-in user and a song of the named artist', { skip: needsEmulator }, async () => {
+    const { submitScore, db } = await loadFunctions();
+    const songId = await addSong(db);
+    const submit = functionsTest.wrap(submitScore);
+
+    await assert.rejects(submit({ data: runData(songId) }), { code: 'unauthenticated' });
+
+    const otherArtist = await submit({ auth: { uid: 'emulator-tester' }, data: runData(songId, { artistUrlKey: 'someone-else' }) });
+    assert.equal(otherArtist.accepted, false);
+    assert.equal(otherArtist.reasons[0].code, 'unknown-artist');
+});
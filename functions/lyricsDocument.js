@@ -0,0 +1,110 @@
+/**
+ * Turns the lyrics containers of a Genius song page into plain lyrics plus section metadata.
+ *
+ * Shared by the scraping functions (scrapeLyricsFromUrl in index.js) and the scripts that
+ * scrape or upload songs (scripts/fix-null-lyrics.js, scripts/prescrape-new-artists.js), so
+ * every song doc gets the same `lyrics` and `lyricsSections`. The client reads the sections
+ * in src/lib/utils/lyricSections.js.
+ */
+
+// Section types recognised in Genius headers; anything else is stored as 'other'
+const LYRIC_SECTION_TYPES = ['intro', 'verse', 'pre-chorus', 'chorus', 'post-chorus', 'hook', 'refrain', 'bridge', 'interlude', 'breakdown', 'outro'];
+
+// Genius headers are usually bracketed ("[Chorus]"), but some pages render them as bare words
+function isSectionHeader(line) {
+    return /^\[.*\]$/.test(line) ||
+        /^(Intro|Verse|Chorus|Bridge|Outro|Pre-Chorus|Post-Chorus|Hook|Refrain)(\s|\d|$)/i.test(line);
+}
+
+/**
+ * Parse a section header such as "[Verse 2: Drake & Future]"
+ * @param {string} header - Header line, with or without brackets
+ * @returns {{ label: string, type: string, performer: string|null }}
+ */
+function parseSectionHeader(header) {
+    const inner = header.replace(/^\[/, '').replace(/\]$/, '').trim();
+    const [labelPart, ...performerParts] = inner.split(':');
+    const label = labelPart.trim();
+    const performer = performerParts.join(':').trim() || null;
+    const key = label.toLowerCase().replace(/[\s_]+/g, '-');
+    const type = LYRIC_SECTION_TYPES.find(sectionType => key.startsWith(sectionType)) || 'other';
+    return { label, type, performer };
+}
+
+/**
+ * Build the structured lyric document from the cleaned lines of the lyrics containers.
+ * Header lines become section boundaries and are left out of the plain lyrics, so they are
+ * never typed. Line ranges index the non-empty lines of `lyrics` (endLine is exclusive).
+ *
+ * @param {string[]} rawLines - Trimmed lines, headers included
+ * @returns {{ lyrics: string, sections: Array<{ label: string, type: string, performer: string|null, startLine: number, endLine: number }> }}
+ */
+export function buildLyricsDocument(rawLines) {
+    const lines = [];
+    const sections = [];
+    let currentSection = null;
+
+    rawLines.forEach(line => {
+        if (!line) return;
+        if (isSectionHeader(line)) {
+            currentSection = { ...parseSectionHeader(line), startLine: lines.length, endLine: lines.length };
+            sections.push(currentSection);
+            return;
+        }
+        lines.push(line);
+        if (currentSection) currentSection.endLine = lines.length;
+    });
+
+    return {
+        lyrics: lines.join('\n'),
+        // Drop headers with no lines under them (e.g. "[Instrumental Break]")
+        sections: sections.filter(section => section.endLine > section.startLine)
+    };
+}
+
+/**
+ * Extract the lyric document from a song page's lyrics containers, leaving out annotations,
+ * headers and footers.
+ * @param {Function} $ - Cheerio instance of the song page
+ * @param {Object} lyricsContainers - Cheerio selection of `[data-lyrics-container="true"]` elements
+ * @returns {{ lyrics: string, sections: Array<Object> }} See buildLyricsDocument
+ */
+export function extractLyricsDocument($, lyricsContainers) {
+    const allLines = [];
+
+    lyricsContainers.each((index, container) => {
+        const $container = $(container);
+
+        // Remove elements that should be excluded from lyrics
+        $container.find('[data-exclude-from-selection="true"]').remove();
+
+        // Remove headers, footers, and annotation elements
+        $container.find('.LyricsHeader__Container, .LyricsFooter__Container').remove();
+        $container.find('a[href*="/annotations/"]').remove();
+
+        // Get the raw text content, preserving line breaks
+        const containerText = $container.html() || '';
+
+        // Convert HTML to clean lines
+        const containerLines = containerText
+            // Convert <br> tags to newlines
+            .replace(/<br\s*\/?>/gi, '\n')
+            // Remove all HTML tags completely (including <i>, section headers, etc.)
+            .replace(/<[^>]*>/gi, '')
+            // Decode HTML entities
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#x27;/g, "'")
+            .replace(/&nbsp;/g, ' ')
+            // Clean up whitespace (empty lines and headers are handled by buildLyricsDocument)
+            .split('\n')
+            .map(line => line.trim());
+
+        allLines.push(...containerLines);
+    });
+
+    // Split headers out of the text and record them as sections
+    return buildLyricsDocument(allLines);
+}
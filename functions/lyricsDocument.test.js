@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { buildLyricsDocument, extractLyricsDocument } from './lyricsDocument.js';
+
+test('headers become sections over the lines below them', () => {
+    const { lyrics, sections } = buildLyricsDocument([
+        '[Verse 1: Drake & Future]', 'first line', 'second line', '',
+        'Chorus', 'third line'
+    ]);
+    assert.equal(lyrics, 'first line\nsecond line\nthird line');
+    assert.deepEqual(sections, [
+        { label: 'Verse 1', type: 'verse', performer: 'Drake & Future', startLine: 0, endLine: 2 },
+        { label: 'Chorus', type: 'chorus', performer: null, startLine: 2, endLine: 3 }
+    ]);
+});
+
+test('headers with no lines under them are dropped', () => {
+    const { sections } = buildLyricsDocument(['[Instrumental Break]', '[Outro]', 'last line']);
+    assert.deepEqual(sections.map(section => section.label), ['Outro']);
+});
+
+test('song page containers are cleaned before parsing', () => {
+    const $ = cheerio.load(
+        '<div data-lyrics-container="true">[Intro]<br><a href="/annotations/1">Hey &amp; ho</a><br>' +
+        '<span data-exclude-from-selection="true">Embed</span>let&#x27;s go</div>'
+    );
+    const { lyrics, sections } = extractLyricsDocument($, $('div[data-lyrics-container="true"]'));
+    assert.equal(lyrics, "let's go");
+    assert.deepEqual(sections, [{ label: 'Intro', type: 'intro', performer: null, startLine: 0, endLine: 1 }]);
+});
@@ -0,0 +1,333 @@
+/**
+ * Server-side validation of submitted typing runs (used by submitScore in index.js).
+ *
+ * A run's keystroke log (same format as src/lib/utils/keystrokeLog.js) is replayed against
+ * the canonical text, rebuilt from the song's stored lyrics and the run's displayLineIndices, plus
+ * the first lines of any later songs a timed or word-count run continued into (`continuedSongs`).
+ * WPM and accuracy are recomputed from the replay rather than trusted from the client, and the
+ * key timings are checked for patterns people don't produce: pasted bursts, metronome-steady
+ * intervals and streaks of keys with no gap between them.
+ *
+ * The verdict is 'valid', 'suspicious' (timings look automated, worth a human look) or
+ * 'invalid' (the run doesn't add up), with one reason per failed check.
+ */
+
+export const VERDICT_VALID = 'valid';
+export const VERDICT_SUSPICIOUS = 'suspicious';
+export const VERDICT_INVALID = 'invalid';
+
+const CHARS_PER_WORD = 5;
+const MAX_LOG_EVENTS = 20000;
+export const MAX_CONTINUED_SONGS = 20;
+const MIN_DURATION_MS = 2000;
+const MAX_WPM = 300; // Well past the fastest sustained human typing
+const MAX_INSERT_LENGTH = 3; // Longer single inserts are pastes or autocomplete
+const MIN_MEDIAN_INTERVAL_MS = 15; // Half the gap of a 400 WPM typist
+const WPM_TOLERANCE = 1.02; // Client and server clocks round differently
+const ACCURACY_TOLERANCE = 2; // Percentage points
+const CONSTANT_INTERVAL_MIN_KEYS = 20;
+const CONSTANT_INTERVAL_MAX_VARIATION = 0.05; // Coefficient of variation; people sit around 0.3-0.6
+const ZERO_LATENCY_MS = 5;
+const ZERO_LATENCY_STREAK = 6;
+
+// Error modes that refuse mistakes, so accuracy counts every key pressed (see src/lib/utils/errorModes.js)
+const BLOCKING_ERROR_MODES = ['stop-letter', 'stop-word'];
+// Modes that type exactly the lines the run reports; the others may stop early or run on into the next song
+const FIXED_TEXT_MODES = ['excerpt', 'song'];
+
+// One-to-one folds of the typographic characters the client's lenient and ASCII levels match loosely
+// (see src/lib/utils/textNormalize.js)
+const FOLDED_CHARS = {
+    '\n': ' ', '\u00A0': ' ', '¿': '?', '¡': '!',
+    '’': "'", '‘': "'", '‚': "'", '′': "'", '´': "'", '`': "'",
+    '“': '"', '”': '"', '„': '"', '«': '"', '»': '"',
+    '—': '-', '–': '-', '‒': '-', '−': '-', '‐': '-'
+};
+// Letters that don't decompose under NFD but are folded by the client's ASCII strictness level
+const LOOSE_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'þ': 'th', 'ı': 'i' };
+
+/**
+ * Case-, accent- and typography-insensitive form used for per-character comparison. Keeps the
+ * text's length for precomposed characters, so positions line up with the keystroke log.
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldText(text) {
+    return [...String(text || '')]
+        .map(char => FOLDED_CHARS[char] ?? (char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase() || char))
+        .join('');
+}
+
+/**
+ * Letters and digits only. The client may drop punctuation, capitals and accents before the
+ * run starts, so this is the form in which a submitted excerpt is compared with the lyrics.
+ * @param {string} text
+ * @returns {string}
+ */
+export function looseText(text) {
+    return foldText(text)
+        .replace(/./gu, char => LOOSE_LETTERS[char] ?? char)
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Rebuild the lines a run was typed from.
+ * @param {string} lyrics - Stored lyrics of the song
+ * @param {number[]} lineIndices - Indices into the song's non-empty lines, one run of consecutive lines
+ * @returns {string|null} null when the indices don't fit the lyrics or aren't consecutive
+ */
+export function buildCanonicalExcerpt(lyrics, lineIndices) {
+    if (typeof lyrics !== 'string' || !Array.isArray(lineIndices) || lineIndices.length === 0) return null;
+    const lines = lyrics.split('\n').filter(line => line.trim().length > 0);
+    const [first] = lineIndices;
+    if (!Number.isInteger(first) || first < 0 || first + lineIndices.length > lines.length) return null;
+    // Repeated or skipped lines would let a run score the same easy line over and over
+    if (!lineIndices.every((index, i) => index === first + i)) return null;
+    return lineIndices.map(index => lines[index]).join('\n');
+}
+
+/**
+ * Rebuild the text a run was typing: its song lines, then the lines it continued into from later
+ * songs, with punctuation dropped when the run had it turned off (as the client's transformedLyrics does).
+ * Capitals, accents and ASCII folding are left alone, since foldText compares past them.
+ * @param {Object} run - { displayLineIndices, continuedSongs: [{ songId, lineCount }], punctuation }
+ * @param {string} lyrics - Stored lyrics of the run's song
+ * @param {Object<string, string>} [continuedLyrics] - Stored lyrics of the continued songs, by song ID
+ * @returns {string|null} null when any of the lines can't be found
+ */
+export function buildExpectedText(run, lyrics, continuedLyrics = {}) {
+    const canonical = buildCanonicalExcerpt(lyrics, run.displayLineIndices);
+    if (canonical === null) return null;
+
+    const continuedSongs = run.continuedSongs || [];
+    if (!Array.isArray(continuedSongs) || continuedSongs.length > MAX_CONTINUED_SONGS) return null;
+    const parts = [canonical];
+    for (const song of continuedSongs) {
+        const songLyrics = continuedLyrics[String(song?.songId)];
+        if (typeof songLyrics !== 'string' || !Number.isInteger(song.lineCount) || song.lineCount < 1) return null;
+        const lines = songLyrics.split('\n').filter(line => line.trim().length > 0);
+        if (song.lineCount > lines.length) return null;
+        parts.push(lines.slice(0, song.lineCount).join('\n'));
+    }
+
+    const text = parts.join('\n');
+    return run.punctuation === false ? text.replace(/[^\p{L}\p{N}\s]/gu, '') : text;
+}
+
+/**
+ * Replay a keystroke log with pauses taken out.
+ * @param {Object} log
+ * @returns {{ value: string, durationMs: number, keys: Array<{ at: number, pos: number, text: string }>,
+ *   intervals: number[], largestInsert: number }|null} null when the log is malformed
+ *   (unknown events, time going backwards, edits outside the text)
+ */
+export function replayKeystrokeLog(log) {
+    if (!log || !Array.isArray(log.events) || log.events.length === 0 || log.events.length > MAX_LOG_EVENTS) {
+        return null;
+    }
+
+    let value = '';
+    let pausedTotal = 0;
+    let pauseStart = null;
+    let lastTime = 0;
+    let lastKeyAt = null;
+    let durationMs = 0;
+    let largestInsert = 0;
+    const keys = [];
+    const intervals = [];
+
+    for (const event of log.events) {
+        if (typeof event.t !== 'number' || event.t < lastTime) return null;
+        lastTime = event.t;
+
+        if (event.type === 'pause') {
+            if (pauseStart === null) pauseStart = event.t;
+            continue;
+        }
+        if (event.type === 'resume') {
+            if (pauseStart !== null) pausedTotal += event.t - pauseStart;
+            pauseStart = null;
+            continue;
+        }
+        if (!['key', 'backspace', 'rejected'].includes(event.type)) return null;
+        if (pauseStart !== null) {
+            pausedTotal += event.t - pauseStart;
+            pauseStart = null;
+        }
+
+        const at = event.t - pausedTotal;
+        const text = typeof event.text === 'string' ? event.text : '';
+        durationMs = at;
+
+        if (event.type === 'rejected') {
+            keys.push({ at, pos: event.pos, text });
+            continue;
+        }
+
+        const removed = Number(event.removed) || 0;
+        if (!Number.isInteger(event.pos) || event.pos < 0 || event.pos > value.length || removed < 0) return null;
+        value = value.slice(0, event.pos) + text + value.slice(event.pos + removed);
+
+        if (event.type === 'key') {
+            keys.push({ at, pos: event.pos, text });
+            largestInsert = Math.max(largestInsert, text.length);
+            if (lastKeyAt !== null) intervals.push(at - lastKeyAt);
+            lastKeyAt = at;
+        }
+    }
+
+    return { value, durationMs, keys, intervals, largestInsert };
+}
+
+/**
+ * Recompute a run's metrics the way the client's endTest() does.
+ * @param {Object} replay - From replayKeystrokeLog
+ * @param {string} expectedText - Text the run was typing, as displayed
+ * @param {string} errorMode - Error mode id
+ * @returns {{ charactersTyped: number, uncorrectedErrors: number, correctedErrors: number,
+ *   durationMs: number, rawWpm: number, wpm: number, accuracy: number }}
+ */
+export function computeRunMetrics(replay, expectedText, errorMode) {
+    const typed = foldText(replay.value);
+    const expected = foldText(expectedText);
+
+    let uncorrectedErrors = 0;
+    for (let i = 0; i < typed.length; i++) {
+        if (typed[i] !== expected[i]) uncorrectedErrors++;
+    }
+
+    let totalErrors = 0;
+    replay.keys.forEach(key => {
+        const text = foldText(key.text);
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] !== expected[key.pos + i]) totalErrors++;
+        }
+    });
+    const correctedErrors = Math.max(0, totalErrors - uncorrectedErrors);
+
+    const charactersTyped = typed.length;
+    const minutes = replay.durationMs / 60000;
+    const keysPressed = BLOCKING_ERROR_MODES.includes(errorMode) ? charactersTyped + correctedErrors : charactersTyped;
+
+    return {
+        charactersTyped,
+        uncorrectedErrors,
+        correctedErrors,
+        durationMs: replay.durationMs,
+        rawWpm: minutes > 0 ? (charactersTyped / CHARS_PER_WORD) / minutes : 0,
+        wpm: minutes > 0 ? Math.max(0, (charactersTyped / CHARS_PER_WORD - uncorrectedErrors) / minutes) : 0,
+        accuracy: keysPressed > 0 ? Math.max(0, Math.min(100, ((charactersTyped - uncorrectedErrors) / keysPressed) * 100)) : 0
+    };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Timing patterns people don't produce.
+ * @param {Object} replay - From replayKeystrokeLog
+ * @returns {Array<{ code: string, message: string, severity: string }>}
+ */
+export function detectTimingAnomalies(replay) {
+    const anomalies = [];
+    const { intervals } = replay;
+
+    if (replay.largestInsert > MAX_INSERT_LENGTH) {
+        anomalies.push({ code: 'paste-burst', message: `${replay.largestInsert} characters arrived in one keystroke`, severity: VERDICT_INVALID });
+    }
+    if (intervals.length === 0) return anomalies;
+
+    if (median(intervals) < MIN_MEDIAN_INTERVAL_MS) {
+        anomalies.push({ code: 'impossible-timing', message: 'Keys arrived faster than anyone can type', severity: VERDICT_INVALID });
+    }
+
+    if (intervals.length >= CONSTANT_INTERVAL_MIN_KEYS) {
+        const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+        const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+        if (mean > 0 && Math.sqrt(variance) / mean < CONSTANT_INTERVAL_MAX_VARIATION) {
+            anomalies.push({ code: 'constant-intervals', message: `Keys were evenly spaced (${Math.round(mean)}ms apart)`, severity: VERDICT_SUSPICIOUS });
+        }
+    }
+
+    let streak = 0;
+    let longestStreak = 0;
+    intervals.forEach(interval => {
+        streak = interval < ZERO_LATENCY_MS ? streak + 1 : 0;
+        longestStreak = Math.max(longestStreak, streak);
+    });
+    if (longestStreak >= ZERO_LATENCY_STREAK) {
+        anomalies.push({ code: 'zero-latency-streak', message: `${longestStreak + 1} keys arrived with no gap between them`, severity: VERDICT_SUSPICIOUS });
+    }
+
+    return anomalies;
+}
+
+/**
+ * Validate a submitted run.
+ * @param {Object} run - { excerpt, keystrokeLog, displayLineIndices, continuedSongs, punctuation, testMode, errorMode, wpm, accuracy }
+ * @param {string} lyrics - Stored lyrics of the run's song
+ * @param {Object<string, string>} [continuedLyrics] - Stored lyrics of the songs in run.continuedSongs, by song ID
+ * @returns {{ verdict: string, reasons: Array<{ code: string, message: string, severity: string }>, metrics: Object|null }}
+ *   metrics are the recomputed values (see computeRunMetrics), null when the log can't be replayed
+ */
+export function validateRun(run, lyrics, continuedLyrics = {}) {
+    const reasons = [];
+    const fail = (code, message, severity = VERDICT_INVALID) => reasons.push({ code, message, severity });
+
+    const replay = replayKeystrokeLog(run.keystrokeLog);
+    if (!replay) {
+        fail('malformed-log', 'The keystroke log could not be replayed');
+        return { verdict: VERDICT_INVALID, reasons, metrics: null };
+    }
+    if (typeof run.excerpt !== 'string' || run.excerpt.length === 0) {
+        fail('missing-excerpt', 'No excerpt was submitted');
+        return { verdict: VERDICT_INVALID, reasons, metrics: null };
+    }
+
+    const fixedText = FIXED_TEXT_MODES.includes(run.testMode);
+    if (fixedText && run.continuedSongs?.length > 0) {
+        fail('unknown-lines', 'Only timed and word-count runs continue into other songs');
+        return { verdict: VERDICT_INVALID, reasons, metrics: null };
+    }
+
+    // Everything is scored against the text rebuilt from stored lyrics, never the text the client sent
+    const expectedText = buildExpectedText(run, lyrics, continuedLyrics);
+    if (expectedText === null) {
+        fail('unknown-lines', 'The excerpt lines are not part of the songs');
+        return { verdict: VERDICT_INVALID, reasons, metrics: null };
+    }
+
+    // The submitted text must be those lines (or a prefix of them, for timed and word-count runs),
+    // and nothing can be typed past their end
+    const submitted = looseText(run.excerpt);
+    const expected = looseText(expectedText);
+    const matches = fixedText ? submitted === expected : expected.startsWith(submitted);
+    if (submitted.length === 0 || expected.length === 0 || !matches) {
+        fail('excerpt-mismatch', 'The excerpt does not match the song lyrics');
+    }
+    if (replay.value.length > expectedText.length) {
+        fail('typed-past-text', 'More was typed than the song lyrics hold');
+    }
+
+    const metrics = computeRunMetrics(replay, expectedText, run.errorMode);
+    if (metrics.durationMs < MIN_DURATION_MS) fail('too-short', 'The run is too short to rank');
+    if (fixedText && metrics.charactersTyped < expectedText.length) {
+        fail('unfinished', 'The excerpt was not finished');
+    }
+    if (metrics.wpm > MAX_WPM) fail('impossible-speed', `${Math.round(metrics.wpm)} WPM is beyond human typing`);
+    if (Number(run.wpm) > metrics.wpm * WPM_TOLERANCE + 1) {
+        fail('wpm-mismatch', `Reported ${Number(run.wpm).toFixed(1)} WPM, the keystroke log shows ${metrics.wpm.toFixed(1)}`);
+    }
+    if (Number(run.accuracy) > metrics.accuracy + ACCURACY_TOLERANCE) {
+        fail('accuracy-mismatch', `Reported ${Number(run.accuracy).toFixed(1)}% accuracy, the keystroke log shows ${metrics.accuracy.toFixed(1)}%`);
+    }
+
+    reasons.push(...detectTimingAnomalies(replay));
+
+    const verdict = reasons.some(reason => reason.severity === VERDICT_INVALID) ? VERDICT_INVALID
+        : reasons.length > 0 ? VERDICT_SUSPICIOUS
+        : VERDICT_VALID;
+    return { verdict, reasons, metrics };
+}
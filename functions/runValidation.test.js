@@ -0,0 +1,247 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    VERDICT_VALID,
+    VERDICT_SUSPICIOUS,
+    VERDICT_INVALID,
+    buildCanonicalExcerpt,
+    buildExpectedText,
+    replayKeystrokeLog,
+    computeRunMetrics,
+    looseText,
+    validateRun
+} from './runValidation.js';
+
+// Stored lyrics keep blank lines between sections; line indices skip them
+const LYRICS = [
+    'Hello darkness, my old friend',
+    '',
+    "I've come to talk with you again",
+    'Because a vision softly creeping',
+    'Left its seeds while I was sleeping'
+].join('\n');
+
+// Human-ish rhythm: 120-230ms between keys, never the same gap twice in a row
+const humanInterval = i => 120 + ((i * 37) % 110);
+
+// Build a keystroke log that types `text` one key at a time, with the given gap before each key
+function typeText(text, interval = humanInterval) {
+    const events = [];
+    let t = 0;
+    [...text].forEach((char, i) => {
+        if (i > 0) t += interval(i);
+        events.push({ t, type: 'key', pos: i, removed: 0, text: char });
+    });
+    return { version: 1, origin: 0, events };
+}
+
+function runFor(excerpt, keystrokeLog, overrides = {}) {
+    const replay = replayKeystrokeLog(keystrokeLog);
+    const metrics = computeRunMetrics(replay, excerpt, overrides.errorMode || 'free');
+    return {
+        excerpt,
+        keystrokeLog,
+        displayLineIndices: [1, 2],
+        testMode: 'excerpt',
+        errorMode: 'free',
+        wpm: metrics.wpm,
+        accuracy: metrics.accuracy,
+        ...overrides
+    };
+}
+
+const EXCERPT = "I've come to talk with you again\nBecause a vision softly creeping";
+const codesOf = result => result.reasons.map(reason => reason.code);
+
+test('canonical excerpt indexes the non-empty lines', () => {
+    assert.equal(buildCanonicalExcerpt(LYRICS, [1, 2]), EXCERPT);
+    assert.equal(buildCanonicalExcerpt(LYRICS, [4]), null);
+    assert.equal(buildCanonicalExcerpt(LYRICS, []), null);
+});
+
+test('canonical excerpt lines must be consecutive', () => {
+    assert.equal(buildCanonicalExcerpt(LYRICS, [0, 0, 0, 0]), null);
+    assert.equal(buildCanonicalExcerpt(LYRICS, [2, 1]), null);
+    assert.equal(buildCanonicalExcerpt(LYRICS, [0, 2]), null);
+    assert.equal(buildCanonicalExcerpt(LYRICS, [3, 4]), null);
+    assert.equal(buildCanonicalExcerpt(LYRICS, [-1, 0]), null);
+    assert.equal(buildCanonicalExcerpt(LYRICS, [1.5, 2.5]), null);
+});
+
+test('loose text ignores punctuation, capitals and accents', () => {
+    assert.equal(looseText("I've come"), looseText('ive Come'));
+    assert.equal(looseText('Café déjà vu'), looseText('cafe deja vu'));
+});
+
+test('a clean human run is valid and its metrics are recomputed', () => {
+    const run = runFor(EXCERPT, typeText(EXCERPT));
+    const result = validateRun(run, LYRICS);
+
+    assert.equal(result.verdict, VERDICT_VALID);
+    assert.deepEqual(result.reasons, []);
+    assert.equal(result.metrics.charactersTyped, EXCERPT.length);
+    assert.equal(result.metrics.uncorrectedErrors, 0);
+    assert.equal(result.metrics.accuracy, 100);
+});
+
+test('the excerpt may be typed without punctuation or capitals', () => {
+    const excerpt = 'ive come to talk with you again\nbecause a vision softly creeping';
+    const result = validateRun(runFor(excerpt, typeText(excerpt), { punctuation: false }), LYRICS);
+    assert.equal(result.verdict, VERDICT_VALID);
+});
+
+test('expected text adds the lines of continued songs and drops punctuation when it was off', () => {
+    const next = 'Second song, first line\n\nSecond song, second line\nThird line';
+    const run = { displayLineIndices: [3], continuedSongs: [{ songId: 7, lineCount: 2 }] };
+
+    assert.equal(buildExpectedText(run, LYRICS, { 7: next }), 'Left its seeds while I was sleeping\nSecond song, first line\nSecond song, second line');
+    assert.equal(buildExpectedText({ ...run, punctuation: false }, LYRICS, { 7: next }), 'Left its seeds while I was sleeping\nSecond song first line\nSecond song second line');
+    assert.equal(buildExpectedText({ ...run, continuedSongs: [{ songId: 7, lineCount: 4 }] }, LYRICS, { 7: next }), null);
+    assert.equal(buildExpectedText(run, LYRICS, {}), null);
+});
+
+test('line breaks are typed as spaces', () => {
+    const result = validateRun(runFor(EXCERPT, typeText(EXCERPT.replace('\n', ' '))), LYRICS);
+    assert.equal(result.verdict, VERDICT_VALID);
+    assert.equal(result.metrics.uncorrectedErrors, 0);
+});
+
+test('pauses do not count towards the duration', () => {
+    const log = typeText('abc', () => 200);
+    log.events.splice(2, 0, { t: 250, type: 'pause' }, { t: 10250, type: 'resume' });
+    log.events[4].t += 10000;
+
+    assert.equal(replayKeystrokeLog(log).durationMs, 400);
+});
+
+test('corrected mistakes lower accuracy only in the stop modes', () => {
+    const text = 'abcd';
+    const log = {
+        version: 1,
+        origin: 0,
+        events: [
+            { t: 0, type: 'key', pos: 0, removed: 0, text: 'a' },
+            { t: 150, type: 'key', pos: 1, removed: 0, text: 'x' },
+            { t: 300, type: 'backspace', pos: 1, removed: 1, text: '' },
+            { t: 450, type: 'key', pos: 1, removed: 0, text: 'b' },
+            { t: 600, type: 'key', pos: 2, removed: 0, text: 'c' },
+            { t: 750, type: 'key', pos: 3, removed: 0, text: 'd' }
+        ]
+    };
+    const replay = replayKeystrokeLog(log);
+
+    const free = computeRunMetrics(replay, text, 'free');
+    assert.equal(free.correctedErrors, 1);
+    assert.equal(free.accuracy, 100);
+
+    const stopLetter = computeRunMetrics(replay, text, 'stop-letter');
+    assert.equal(stopLetter.accuracy, 80);
+});
+
+test('a pasted excerpt is invalid', () => {
+    const log = { version: 1, origin: 0, events: [{ t: 5000, type: 'key', pos: 0, removed: 0, text: EXCERPT }] };
+    const result = validateRun(runFor(EXCERPT, log, { wpm: 60, accuracy: 100 }), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_INVALID);
+    assert.ok(codesOf(result).includes('paste-burst'));
+});
+
+test('metronome-steady keys are suspicious', () => {
+    const result = validateRun(runFor(EXCERPT, typeText(EXCERPT, () => 100)), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_SUSPICIOUS);
+    assert.deepEqual(codesOf(result), ['constant-intervals']);
+});
+
+test('a streak of keys with no gap between them is suspicious', () => {
+    // Human rhythm, except for ten keys injected at once in the middle
+    const log = typeText(EXCERPT, i => (i >= 20 && i < 30 ? 1 : humanInterval(i)));
+    const result = validateRun(runFor(EXCERPT, log), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_SUSPICIOUS);
+    assert.deepEqual(codesOf(result), ['zero-latency-streak']);
+});
+
+test('keys faster than anyone can type are invalid', () => {
+    const result = validateRun(runFor(EXCERPT, typeText(EXCERPT, i => 5 + (i % 7))), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_INVALID);
+    assert.ok(codesOf(result).includes('impossible-timing'));
+});
+
+test('an inflated WPM or accuracy is invalid', () => {
+    const honest = runFor(EXCERPT, typeText(EXCERPT));
+    const result = validateRun({ ...honest, wpm: honest.wpm * 1.5 }, LYRICS);
+    assert.equal(result.verdict, VERDICT_INVALID);
+    assert.deepEqual(codesOf(result), ['wpm-mismatch']);
+
+    const typo = EXCERPT.replace('talk', 'tqlk').replace('again', 'agaim').replace('vision', 'visiob');
+    const sloppy = runFor(EXCERPT, typeText(typo));
+    const inflated = validateRun({ ...sloppy, accuracy: 100 }, LYRICS);
+    assert.deepEqual(codesOf(inflated), ['accuracy-mismatch']);
+});
+
+test('an excerpt that is not the song lines is invalid', () => {
+    const other = 'these are not the lyrics you are looking for';
+    const result = validateRun(runFor(other, typeText(other)), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_INVALID);
+    assert.ok(codesOf(result).includes('excerpt-mismatch'));
+});
+
+test('an unfinished excerpt is invalid', () => {
+    const partial = typeText(EXCERPT.slice(0, 30));
+    const result = validateRun(runFor(EXCERPT, partial), LYRICS);
+
+    assert.ok(codesOf(result).includes('unfinished'));
+});
+
+test('a timed run may stop part way through its lines', () => {
+    const typed = EXCERPT.slice(0, 40);
+    const result = validateRun(runFor(typed, typeText(typed), { testMode: 'time-30' }), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_VALID);
+});
+
+test('a timed run that types past its lines is invalid', () => {
+    const typed = `${LYRICS.split('\n')[0]} ${'a '.repeat(40).trim()}`;
+    const result = validateRun(runFor(typed, typeText(typed), { testMode: 'time-30', displayLineIndices: [0] }), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_INVALID);
+    assert.ok(codesOf(result).includes('excerpt-mismatch'));
+    assert.ok(codesOf(result).includes('typed-past-text'));
+});
+
+test('a timed run of only punctuation is invalid', () => {
+    const typed = '.,.,.,';
+    const log = typeText(typed, i => 400 + humanInterval(i));
+    const result = validateRun(runFor(typed, log, { testMode: 'time-30', displayLineIndices: [0] }), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_INVALID);
+    assert.ok(codesOf(result).includes('excerpt-mismatch'));
+    assert.ok(result.metrics.uncorrectedErrors > 0);
+});
+
+test('a timed run may continue into the next song', () => {
+    const next = 'Second song, first line\nSecond song, second line';
+    const typed = `${LYRICS.split('\n').at(-1)}\nSecond song, first line\nSecond`;
+    const run = runFor(typed, typeText(typed), {
+        testMode: 'time-30',
+        displayLineIndices: [3],
+        continuedSongs: [{ songId: '7', lineCount: 2 }]
+    });
+
+    assert.equal(validateRun(run, LYRICS, { 7: next }).verdict, VERDICT_VALID);
+    assert.ok(codesOf(validateRun(run, LYRICS)).includes('unknown-lines'));
+    assert.ok(codesOf(validateRun({ ...run, testMode: 'song' }, LYRICS, { 7: next })).includes('unknown-lines'));
+});
+
+test('a log that goes back in time cannot be replayed', () => {
+    const log = typeText('hello world');
+    log.events[3].t = 1;
+    const result = validateRun(runFor('hello world', typeText('hello world'), { keystrokeLog: log }), LYRICS);
+
+    assert.equal(result.verdict, VERDICT_INVALID);
+    assert.deepEqual(codesOf(result), ['malformed-log']);
+    assert.equal(result.metrics, null);
+});
@@ -0,0 +1,95 @@
+/**
+ * Typing difficulty of a song, scored 0 (easy) to 100 (hard) from its lyric text.
+ *
+ * The score blends five features of the non-empty lyric lines: average word length,
+ * punctuation density, rare characters (anything besides ASCII letters, digits and everyday
+ * punctuation once folded), capitals that don't start a line, and accented letters. Characters
+ * are folded the way the client's customNormalize folds them (see src/lib/utils/textNormalize.js),
+ * so a curly apostrophe counts as plain punctuation and "é" counts as an accented "e".
+ *
+ * Scores are stored on song docs (`difficulty`, `difficultyVersion`) and in the artist doc's
+ * `songMeta`. The client buckets them into easy, medium and hard (src/lib/utils/songDifficulty.js).
+ * Bump DIFFICULTY_VERSION when the model changes so stored scores get recomputed.
+ */
+
+export const DIFFICULTY_VERSION = 1;
+
+// Characters customNormalize maps before folding diacritics
+const CUSTOM_FOLDS = { '¿': '?', '¡': '!', 'ı': 'i', 'İ': 'I', '’': "'", '‘': "'", '—': '-' };
+// Punctuation nearly every song uses, so it doesn't count as rare
+const COMMON_PUNCTUATION = new Set(['.', ',', "'", '!', '?', '-', '"']);
+
+// Each feature ramps from 0 at `easy` to 1 at `hard`; weights add up to 1
+const FEATURES = {
+    averageWordLength: { easy: 3.5, hard: 5.5, weight: 0.35 },
+    punctuationRate: { easy: 0.02, hard: 0.08, weight: 0.2 },
+    rareCharRate: { easy: 0, hard: 0.02, weight: 0.15 },
+    capitalRate: { easy: 0.01, hard: 0.12, weight: 0.15 },
+    diacriticRate: { easy: 0, hard: 0.03, weight: 0.15 }
+};
+
+function foldChar(char) {
+    return CUSTOM_FOLDS[char] ?? char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Measure the features the score is built from.
+ * @param {string} lyrics
+ * @returns {{ averageWordLength: number, punctuationRate: number, rareCharRate: number,
+ *   capitalRate: number, diacriticRate: number }|null} null when there is nothing to type
+ */
+export function measureLyrics(lyrics) {
+    const lines = String(lyrics || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const words = lines.flatMap(line => line.split(/\s+/));
+    const chars = [...words.join('')];
+    if (chars.length === 0) return null;
+
+    let letters = 0;
+    let wordChars = 0;
+    let punctuation = 0;
+    let rare = 0;
+    let accented = 0;
+    for (const char of chars) {
+        const folded = foldChar(char);
+        if (/\p{L}/u.test(char)) letters++;
+        if (/[\p{L}\p{N}]/u.test(char)) wordChars++;
+        if (/\p{P}/u.test(char)) punctuation++;
+        if (!/^[A-Za-z0-9]$/.test(folded) && !COMMON_PUNCTUATION.has(folded)) rare++;
+        if (/\p{L}/u.test(char) && folded !== char) accented++;
+    }
+
+    // Lines start with a capital in most lyrics, so only capitals after the first letter count
+    let capitals = 0;
+    for (const line of lines) {
+        const lineChars = [...line];
+        const firstLetter = lineChars.findIndex(char => /\p{L}/u.test(char));
+        lineChars.forEach((char, index) => {
+            if (index !== firstLetter && /\p{Lu}/u.test(char)) capitals++;
+        });
+    }
+
+    return {
+        averageWordLength: wordChars / words.length,
+        punctuationRate: punctuation / chars.length,
+        rareCharRate: rare / chars.length,
+        capitalRate: letters > 0 ? capitals / letters : 0,
+        diacriticRate: accented / chars.length
+    };
+}
+
+/**
+ * Difficulty score of a song's lyrics.
+ * @param {string} lyrics
+ * @returns {number|null} 0-100, or null when the lyrics are empty
+ */
+export function scoreLyricDifficulty(lyrics) {
+    const measured = measureLyrics(lyrics);
+    if (!measured) return null;
+
+    let score = 0;
+    for (const [name, { easy, hard, weight }] of Object.entries(FEATURES)) {
+        const ramp = (measured[name] - easy) / (hard - easy);
+        score += weight * Math.min(1, Math.max(0, ramp));
+    }
+    return Math.round(score * 100);
+}
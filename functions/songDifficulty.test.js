@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureLyrics, scoreLyricDifficulty } from './songDifficulty.js';
+
+const SIMPLE = [
+    'i go to the sea',
+    'and you go with me',
+    'we sing all day',
+    'and then we play'
+].join('\n');
+
+const DENSE = [
+    'Éphémère: l’énigme — (déjà) réveillée!',
+    'Qu’importe; SCHÖNE Frühlingsnächte, «Überraschung»?',
+    'Ça ne s’arrête JAMAIS: ¿Quién sabrá?'
+].join('\n');
+
+test('empty lyrics have no score', () => {
+    assert.equal(scoreLyricDifficulty(''), null);
+    assert.equal(scoreLyricDifficulty('\n  \n'), null);
+    assert.equal(measureLyrics(null), null);
+});
+
+test('scores stay within 0-100', () => {
+    assert.equal(scoreLyricDifficulty(SIMPLE), 0);
+    const dense = scoreLyricDifficulty(DENSE);
+    assert.ok(dense > 0 && dense <= 100);
+});
+
+test('short plain words score lower than long accented, punctuated ones', () => {
+    assert.ok(scoreLyricDifficulty(SIMPLE) < scoreLyricDifficulty(DENSE));
+});
+
+test('capitals that start a line are not counted', () => {
+    const capitalized = SIMPLE.split('\n').map(line => line[0].toUpperCase() + line.slice(1)).join('\n');
+    assert.equal(measureLyrics(capitalized).capitalRate, 0);
+    assert.ok(measureLyrics('I go to the SEA').capitalRate > 0);
+});
+
+test('accents folded by customNormalize count as diacritics, curly apostrophes do not', () => {
+    assert.equal(measureLyrics('don’t stop').diacriticRate, 0);
+    assert.equal(measureLyrics('don’t stop').rareCharRate, 0);
+    assert.ok(measureLyrics('café résumé').diacriticRate > 0);
+    assert.ok(measureLyrics('a; b: (c)').rareCharRate > 0);
+});
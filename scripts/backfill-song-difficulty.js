@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Song Difficulty
+ * One-off migration: scores every song with lyrics (see functions/songDifficulty.js) and copies
+ * the score into its artists' `songMeta`, which the queue's difficulty filter reads.
+ * Songs already scored with the current DIFFICULTY_VERSION keep their stored score.
+ */
+
+import fs from 'fs/promises';
+import { initializeApp } from 'firebase/app';
+import {
+    getFirestore, collection, doc, getDoc, getDocs, query, where, orderBy, limit, startAfter,
+    documentId, writeBatch
+} from 'firebase/firestore';
+import { firebaseConfig } from '../src/lib/services/initFirebase.js';
+import { scoreLyricDifficulty, DIFFICULTY_VERSION } from '../functions/songDifficulty.js';
+import * as tui from './utils/tui.js';
+import * as paths from './utils/paths.js';
+import { generateTimestamp, getCurrentISO } from './utils/timestamp.js';
+import { createErrorLogger } from './utils/error-logger.js';
+
+class DifficultyBackfill {
+    constructor(options = {}) {
+        this.dryRun = options.dryRun || false;
+        this.pageSize = options.pageSize || 200;
+        this.errorLogger = createErrorLogger('difficulty-backfill');
+        this.db = null;
+        this.artistExists = new Map(); // Artist slug -> whether its doc exists
+        this.stats = {
+            processedSongs: 0,
+            scoredSongs: 0,
+            skippedSongs: 0,
+            updatedArtists: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Initialize Firebase
+     */
+    initFirebase() {
+        const app = initializeApp(firebaseConfig);
+        this.db = getFirestore(app);
+    }
+
+    /**
+     * Artists a song belongs to: the slug upload-songs.js stores on the song, and the artists
+     * whose cachedSongIds list it (scraped by the functions, with string or numeric ids)
+     */
+    async findArtistsForSong(songId, songData) {
+        const slugs = new Set();
+
+        if (songData.artistSlug) {
+            if (!this.artistExists.has(songData.artistSlug)) {
+                const artistSnap = await getDoc(doc(this.db, 'artists', songData.artistSlug));
+                this.artistExists.set(songData.artistSlug, artistSnap.exists());
+            }
+            if (this.artistExists.get(songData.artistSlug)) slugs.add(songData.artistSlug);
+        }
+
+        const ids = /^\d+$/.test(songId) ? [songId, Number(songId)] : [songId];
+        const artistsSnap = await getDocs(query(collection(this.db, 'artists'), where('cachedSongIds', 'array-contains-any', ids)));
+        artistsSnap.docs.forEach(artistDoc => slugs.add(artistDoc.id));
+
+        return [...slugs];
+    }
+
+    /**
+     * Score one page of songs and write the scores to the songs and their artists
+     */
+    async processPage(songDocs) {
+        const batch = writeBatch(this.db);
+        const artistScores = new Map(); // Artist slug -> { songId: difficulty }
+
+        for (const songDoc of songDocs) {
+            this.stats.processedSongs++;
+            const songData = songDoc.data();
+            if (!songData.lyrics) {
+                this.stats.skippedSongs++;
+                continue;
+            }
+
+            try {
+                const isCurrent = typeof songData.difficulty === 'number' && songData.difficultyVersion === DIFFICULTY_VERSION;
+                const difficulty = isCurrent ? songData.difficulty : scoreLyricDifficulty(songData.lyrics);
+                if (difficulty === null) {
+                    this.stats.skippedSongs++;
+                    continue;
+                }
+                if (!isCurrent) {
+                    batch.update(songDoc.ref, { difficulty, difficultyVersion: DIFFICULTY_VERSION });
+                }
+                this.stats.scoredSongs++;
+
+                for (const slug of await this.findArtistsForSong(songDoc.id, songData)) {
+                    const scores = artistScores.get(slug) || {};
+                    scores[songDoc.id] = difficulty;
+                    artistScores.set(slug, scores);
+                }
+            } catch (error) {
+                this.errorLogger.logError('song_score_failed', { songId: songDoc.id }, error.message);
+                this.stats.failed++;
+            }
+        }
+
+        // One write per artist; the default page size leaves room in the batch for them
+        for (const [slug, scores] of artistScores) {
+            const songMeta = Object.fromEntries(Object.entries(scores).map(([songId, difficulty]) => [songId, { difficulty }]));
+            batch.set(doc(this.db, 'artists', slug), { songMeta }, { merge: true });
+        }
+
+        if (!this.dryRun) {
+            try {
+                await batch.commit();
+            } catch (error) {
+                this.errorLogger.logError('batch_commit_failed', { firstSongId: songDocs[0]?.id }, error.message);
+                this.stats.failed += songDocs.length;
+                return;
+            }
+        }
+        this.stats.updatedArtists += artistScores.size;
+    }
+
+    /**
+     * Run the backfill
+     */
+    async run() {
+        tui.printHeader('BACKFILL SONG DIFFICULTY');
+
+        if (this.dryRun) {
+            tui.printWarning('DRY RUN MODE: No data will be updated');
+        }
+
+        this.initFirebase();
+
+        let lastDoc = null;
+        while (true) {
+            const constraints = [orderBy(documentId()), limit(this.pageSize)];
+            if (lastDoc) constraints.push(startAfter(lastDoc));
+            const page = await getDocs(query(collection(this.db, 'songs'), ...constraints));
+            if (page.empty) break;
+
+            await this.processPage(page.docs);
+            lastDoc = page.docs[page.docs.length - 1];
+            tui.printInfo(`Processed ${tui.formatNumber(this.stats.processedSongs)} songs`);
+        }
+
+        if (!this.dryRun) {
+            const outputDir = await paths.createTimestampedDir('upload-results', generateTimestamp());
+            const summary = {
+                timestamp: getCurrentISO(),
+                difficultyVersion: DIFFICULTY_VERSION,
+                statistics: this.stats,
+                errors: this.errorLogger.getSummary()
+            };
+
+            await fs.writeFile(`${outputDir}/difficulty-backfill-summary.json`, JSON.stringify(summary, null, 2));
+            await this.errorLogger.saveToFile(outputDir);
+            await paths.markDirectoryComplete(outputDir);
+        }
+
+        return { stats: this.stats };
+    }
+
+    /**
+     * Display results
+     */
+    displayResults() {
+        console.log('');
+        tui.printStats('Backfill Results', {
+            'Songs Processed': tui.formatNumber(this.stats.processedSongs),
+            'Songs Scored': tui.formatNumber(this.stats.scoredSongs),
+            'Skipped (no lyrics)': tui.formatNumber(this.stats.skippedSongs),
+            'Artists Updated': tui.formatNumber(this.stats.updatedArtists),
+            'Failed': tui.formatNumber(this.stats.failed)
+        });
+
+        if (this.errorLogger.hasErrors()) {
+            tui.printErrorSummary(this.errorLogger.getErrorCounts());
+        }
+    }
+}
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        dryRun: false,
+        pageSize: 200
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--page-size' && args[i + 1]) {
+            options.pageSize = parseInt(args[i + 1], 10);
+            i++;
+        } else if (arg === '--help' || arg === '-h') {
+            console.log(`
+Usage: node scripts/backfill-song-difficulty.js [options]
+
+Options:
+  --dry-run              Score songs without writing anything
+  --page-size <n>        Songs read and written per batch (default: 200)
+  --help, -h             Show this help message
+
+Examples:
+  node scripts/backfill-song-difficulty.js --dry-run
+  node scripts/backfill-song-difficulty.js
+`);
+            process.exit(0);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+    const options = parseArgs();
+    const backfill = new DifficultyBackfill(options);
+
+    try {
+        await backfill.run();
+        backfill.displayResults();
+        tui.printSuccess('Difficulty backfill complete!');
+        tui.printFooter();
+    } catch (error) {
+        tui.printError(`Backfill failed: ${error.message}`);
+        console.error(error);
+        process.exit(1);
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export default DifficultyBackfill;
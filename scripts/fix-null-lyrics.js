@@ -20,6 +20,7 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import * as cheerio from 'cheerio';
 import { firebaseConfig } from '../src/lib/services/initFirebase.js';
+import { extractLyricsDocument } from '../functions/lyricsDocument.js';
 
 // Note: fetch is built-in for Node.js 18+, no need to import
 
@@ -133,8 +134,8 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
 }
 
 /**
- * Scrape lyrics from Genius URL
- * (Updated to match production scraping logic from functions/index.js)
+ * Scrape lyrics and their sections from a Genius URL
+ * (shares its parsing with production scraping, see functions/lyricsDocument.js)
  */
 async function scrapeLyricsFromUrl(songUrl) {
     try {
@@ -169,71 +170,14 @@ async function scrapeLyricsFromUrl(songUrl) {
             throw new Error('No lyrics containers found');
         }
 
-        let allLyricsText = '';
-        
-        // Process each lyrics container with proper filtering
-        lyricsContainers.each((index, container) => {
-            const $container = $(container);
-            
-            // Remove elements that should be excluded from lyrics
-            $container.find('[data-exclude-from-selection="true"]').remove();
-            
-            // Remove headers, footers, and annotation elements
-            $container.find('.LyricsHeader__Container, .LyricsFooter__Container').remove();
-            $container.find('a[href*="/annotations/"]').remove();
-            
-            // Get the raw text content, preserving line breaks
-            let containerText = $container.html() || '';
-            
-            // Convert HTML to clean text
-            containerText = containerText
-                // Convert <br> tags to newlines
-                .replace(/<br\s*\/?>/gi, '\n')
-                // Remove all HTML tags completely
-                .replace(/<[^>]*>/gi, '')
-                // Decode HTML entities
-                .replace(/&amp;/g, '&')
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&quot;/g, '"')
-                .replace(/&#x27;/g, "'")
-                .replace(/&nbsp;/g, ' ')
-                // Clean up whitespace
-                .split('\n')
-                .map(line => line.trim())
-                .filter(line => {
-                    // Filter out section headers and empty lines
-                    if (!line) return false;
-                    if (line.match(/^\[.*\]$/)) return false; // Remove [Intro], [Verse], etc.
-                    if (line.match(/^(Intro|Verse|Chorus|Bridge|Outro|Pre-Chorus|Post-Chorus|Hook|Refrain)(\s|\d|$)/i)) return false;
-                    return true;
-                })
-                .join('\n');
-            
-            if (containerText.trim()) {
-                if (allLyricsText) allLyricsText += '\n\n';
-                allLyricsText += containerText.trim();
-            }
-        });
-
-        // Final cleanup
-        let lyrics = allLyricsText
-            // Remove multiple consecutive newlines
-            .replace(/\n{3,}/g, '\n\n')
-            // Remove any remaining section markers that might have slipped through
-            .replace(/^\[.*\]$/gm, '')
-            // Clean up any remaining whitespace issues
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            .join('\n')
-            .trim();
+        // Same parsing as production, so headers become lyricsSections rather than typed lines
+        const { lyrics, sections } = extractLyricsDocument($, lyricsContainers);
 
         if (!lyrics || lyrics.length < 10) {
             throw new Error('Extracted lyrics are too short or empty');
         }
 
-        return lyrics;
+        return { lyrics, sections };
         
     } catch (error) {
         throw new Error(`Failed to scrape lyrics: ${error.message}`);
@@ -668,12 +612,13 @@ async function scrapeSingleSong(songId, artistUrlKey) {
         
         // Attempt to scrape lyrics
         try {
-            const lyrics = await scrapeLyricsFromUrl(songData.url);
+            const { lyrics, sections } = await scrapeLyricsFromUrl(songData.url);
             
             if (lyrics && lyrics.trim().length > 0) {
                 // Successfully scraped lyrics
                 await updateDoc(songRef, {
                     lyrics: lyrics,
+                    lyricsSections: sections,
                     lyricsScrapedAt: new Date(),
                     scrapingStatus: 'completed',
                     scrapingError: null
@@ -11,6 +11,7 @@ import * as tui from './utils/tui.js';
 import * as paths from './utils/paths.js';
 import { generateTimestamp, getCurrentISO, getWorkflowElapsed } from './utils/timestamp.js';
 import { createErrorLogger } from './utils/error-logger.js';
+import { extractLyricsDocument } from '../functions/lyricsDocument.js';
 
 class NewArtistPrescraper {
     constructor(options = {}) {
@@ -225,7 +226,7 @@ class NewArtistPrescraper {
     }
 
     /**
-     * Scrape lyrics for a single song
+     * Scrape lyrics and their sections for a single song
      */
     async scrapeSongLyrics(song) {
         this.currentProgress.song = song.title;
@@ -236,18 +237,8 @@ class NewArtistPrescraper {
             const html = await response.text();
             const $ = cheerio.load(html);
 
-            let lyrics = '';
-            const lyricsContainers = $('[data-lyrics-container="true"]');
-
-            if (lyricsContainers.length > 0) {
-                lyricsContainers.each((i, container) => {
-                    const text = $(container).text().trim();
-                    if (text) {
-                        lyrics += text + '\n\n';
-                    }
-                });
-                lyrics = lyrics.trim();
-            }
+            // Same parsing as production, so headers become lyricsSections rather than typed lines
+            const { lyrics, sections } = extractLyricsDocument($, $('[data-lyrics-container="true"]'));
 
             if (!lyrics || lyrics.length === 0) {
                 this.errorLogger.logError('empty_lyrics', {
@@ -260,7 +251,7 @@ class NewArtistPrescraper {
             }
 
             this.stats.scrapedLyrics++;
-            return lyrics;
+            return { lyrics, sections };
         } catch (error) {
             this.errorLogger.logError('lyrics_scrape_failed', {
                 song: song.title,
@@ -302,12 +293,13 @@ class NewArtistPrescraper {
 
             // Scrape lyrics for each song
             for (const song of songs) {
-                const lyrics = await this.scrapeSongLyrics(song);
+                const scraped = await this.scrapeSongLyrics(song);
 
-                if (lyrics) {
+                if (scraped) {
                     processedSongs.push({
                         ...song,
-                        lyrics,
+                        lyrics: scraped.lyrics,
+                        lyricsSections: scraped.sections,
                         scrapedAt: getCurrentISO()
                     });
                 }
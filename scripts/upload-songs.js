@@ -10,6 +10,7 @@ import { initializeApp } from 'firebase/app';
 import { getFirestore, collection, writeBatch, doc, getDoc } from 'firebase/firestore';
 import unidecode from 'unidecode';
 import { firebaseConfig } from '../src/lib/services/initFirebase.js';
+import { scoreLyricDifficulty, DIFFICULTY_VERSION } from '../functions/songDifficulty.js';
 import * as tui from './utils/tui.js';
 import * as paths from './utils/paths.js';
 import { generateTimestamp, getCurrentISO, getWorkflowElapsed } from './utils/timestamp.js';
@@ -24,6 +25,7 @@ class SongUploader {
         this.skipExisting = options.skipExisting !== false;
         this.errorLogger = createErrorLogger('song-upload');
         this.db = null;
+        this.artistExists = new Map(); // Artist slug -> whether its doc exists, so songMeta never creates stub artists
         this.stats = {
             totalSongs: 0,
             processedSongs: 0,
@@ -150,6 +152,10 @@ class SongUploader {
             artist: sanitizedArtist,
             artistSlug: artistSlug,
             lyrics: sanitizedLyrics,
+            // Older song-data files were scraped before sections were kept
+            lyricsSections: song.lyricsSections || null,
+            difficulty: scoreLyricDifficulty(sanitizedLyrics),
+            difficultyVersion: DIFFICULTY_VERSION,
             uploadedAt: getCurrentISO(),
             scrapedAt: song.scrapedAt || getCurrentISO()
         };
@@ -171,6 +177,38 @@ class SongUploader {
         }
     }
 
+    /**
+     * Copy song difficulty scores into their artists' `songMeta`, which the queue filter reads
+     * without loading every song. Artists that aren't in Firestore are skipped.
+     * @param {Map<string, Object<string, number>>} difficulties - Artist slug -> { songId: difficulty }
+     */
+    async updateArtistDifficulties(difficulties) {
+        const batch = writeBatch(this.db);
+        let writes = 0;
+
+        for (const [slug, scores] of difficulties) {
+            if (!this.artistExists.has(slug)) {
+                const artistSnap = await getDoc(doc(this.db, 'artists', slug));
+                this.artistExists.set(slug, artistSnap.exists());
+            }
+            if (!this.artistExists.get(slug)) continue;
+
+            const songMeta = Object.fromEntries(Object.entries(scores).map(([songId, difficulty]) => [songId, { difficulty }]));
+            batch.set(doc(this.db, 'artists', slug), { songMeta }, { merge: true });
+            writes++;
+        }
+
+        if (writes > 0) {
+            try {
+                await batch.commit();
+            } catch (error) {
+                this.errorLogger.logError('song_meta_update_failed', {
+                    artists: [...difficulties.keys()].join(', ')
+                }, error.message);
+            }
+        }
+    }
+
     /**
      * Load song data
      */
@@ -234,6 +272,7 @@ class SongUploader {
         let uploadedInBatch = 0;
         let skippedInBatch = 0;
         let failedInBatch = 0;
+        const difficulties = new Map();
 
         for (const rawSong of songs) {
             try {
@@ -252,6 +291,11 @@ class SongUploader {
                     const docRef = doc(songsCollection, song.songId);
                     const { songId, ...documentData } = song;
                     batch.set(docRef, documentData, { merge: true });
+                    if (song.difficulty !== null) {
+                        const scores = difficulties.get(song.artistSlug) || {};
+                        scores[song.songId] = song.difficulty;
+                        difficulties.set(song.artistSlug, scores);
+                    }
                 }
                 uploadedInBatch++;
             } catch (error) {
@@ -274,6 +318,10 @@ class SongUploader {
             }
         }
 
+        if (uploadedInBatch > 0) {
+            await this.updateArtistDifficulties(difficulties);
+        }
+
         return { uploaded: uploadedInBatch, skipped: skippedInBatch, failed: failedInBatch };
     }
 
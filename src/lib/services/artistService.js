@@ -72,6 +72,7 @@ export async function getArtistWithSongs(artistUrlKey) {
                         ...artist,
                         urlKey: artist.urlKey || authoritativeUrlKey,
                         songIds: data.songIds || [],
+                        songMeta: artist.songMeta || data.songMeta || {},
                         totalSongs: artist.totalSongs ?? (data.songIds ? data.songIds.length : 0),
                         cachedSongs: artist.cachedSongs ?? (data.cachedSongIds ? data.cachedSongIds.length : 0)
                     };
@@ -142,6 +143,7 @@ export async function loadArtistForQueue(artist) {
                     artistData = {
                         ...artistData,
                         songIds: data.songIds || [],
+                        songMeta: artistData.songMeta || data.songMeta || {},
                         totalSongs: artistData.totalSongs ?? (data.songIds ? data.songIds.length : 0),
                         cachedSongs: artistData.cachedSongs ?? (data.cachedSongIds ? data.cachedSongIds.length : 0)
                     };
@@ -194,6 +196,8 @@ export async function loadArtistForQueue(artist) {
             title: firstSong.title,
             artist: firstSong.primaryArtist?.name || artistData.name,
             lyrics: firstSong.lyrics || '',
+            lyricsSections: firstSong.lyricsSections || null, // Section headers kept by the scraper
+            difficulty: firstSong.difficulty ?? null,
             image: firstSong.songArtImageUrl,
             albumArtId: firstSong.albumArtId, // Add album art ID for binary rendering
             url: firstSong.url,
@@ -214,6 +218,8 @@ export async function loadArtistForQueue(artist) {
                     title: songData.title,
                     artist: songData.primaryArtist?.name || songData.artistNames || artistData.name,
                     lyrics: songData.lyrics || '',
+                    lyricsSections: songData.lyricsSections || null,
+                    difficulty: songData.difficulty ?? null,
                     image: songData.songArtImageUrl,
                     albumArtId: songData.albumArtId, // Add album art ID for binary rendering
                     url: songData.url,
@@ -277,6 +283,8 @@ export async function loadSongsForNavigation(songId, goingBackward, artistUrlKey
                 title: songData.title,
                 artist: songData.primaryArtist?.name || songData.artistNames,
                 lyrics: songData.lyrics || '',
+                lyricsSections: songData.lyricsSections || null,
+                difficulty: songData.difficulty ?? null,
                 image: songData.songArtImageUrl,
                 albumArtId: songData.albumArtId, // Add album art ID for binary rendering
                 url: songData.url,
@@ -369,6 +377,8 @@ export async function loadSpecificSong(songId, artistUrlKey) {
             artist: loadedSong.primaryArtist?.name || loadedSong.artistNames || artistData.name,
             lyrics: loadedSong.lyrics || '',
             fullLyrics: loadedSong.lyrics || '',
+            lyricsSections: loadedSong.lyricsSections || null,
+            difficulty: loadedSong.difficulty ?? null,
             image: loadedSong.songArtImageUrl,
             albumArtId: loadedSong.albumArtId,
             url: loadedSong.url,
@@ -396,6 +406,37 @@ export async function loadSpecificSong(songId, artistUrlKey) {
     }
 }
 
+/**
+ * Load today's daily challenge: the same song and lines for every user, changing at midnight UTC
+ * @returns {Promise<Object>} Song data in the UI format, with `dailyDate` and `displayLineIndices` set
+ */
+export async function getDailyChallenge() {
+    const getDailyChallengeCallable = httpsCallable(functions, 'getDailyChallenge');
+
+    try {
+        const result = await getDailyChallengeCallable();
+        const challenge = result.data.challenge;
+
+        return {
+            id: challenge.songId,
+            title: challenge.title,
+            artist: challenge.artist,
+            lyrics: challenge.lyrics,
+            image: challenge.image,
+            albumArtId: challenge.albumArtId,
+            url: challenge.url,
+            songId: challenge.songId,
+            primaryArtist: challenge.primaryArtist || challenge.artist,
+            artistUrlKey: challenge.artistUrlKey,
+            displayLineIndices: challenge.lineIndices,
+            dailyDate: challenge.date
+        };
+    } catch (error) {
+        console.error('Error loading daily challenge:', error);
+        throw error;
+    }
+}
+
 // LEGACY FUNCTION - Consider migrating to getArtistWithSongs
 export async function getArtistLyrics(artistName) {
     const callGetArtistLyrics = httpsCallable(functions, 'initialArtistSearch');
@@ -0,0 +1,99 @@
+// src/lib/services/authService.js
+import { writable } from 'svelte/store';
+import {
+    getAuth,
+    onAuthStateChanged,
+    signInAnonymously,
+    signInWithPopup,
+    signInWithCredential,
+    linkWithPopup,
+    GoogleAuthProvider,
+    signOut as firebaseSignOut
+} from 'firebase/auth';
+import app from './initFirebase.js';
+
+// Signed-in account: { uid, isAnonymous, displayName, email }, or null when signed out
+export const authUser = writable(null);
+
+let auth = null;
+
+// Auth is created lazily so nothing touches it during server rendering
+function getAuthInstance() {
+    if (!auth) auth = getAuth(app);
+    return auth;
+}
+
+function toAuthUser(user) {
+    if (!user) return null;
+    return {
+        uid: user.uid,
+        isAnonymous: user.isAnonymous,
+        displayName: user.displayName || null,
+        email: user.email || null
+    };
+}
+
+/**
+ * Start listening for sign-in changes. Firebase restores the previous session on its own,
+ * so a returning user is signed back in without doing anything.
+ * @param {(user: Object|null) => void} [onChange] - Called with the new authUser value
+ * @returns {() => void} Unsubscribe function
+ */
+export function initAuth(onChange) {
+    return onAuthStateChanged(getAuthInstance(), user => {
+        const current = toAuthUser(user);
+        authUser.set(current);
+        if (onChange) onChange(current);
+    });
+}
+
+/**
+ * Sign in with a new anonymous account. Its data can be kept later by upgrading to Google.
+ */
+export async function signInAsGuest() {
+    try {
+        await signInAnonymously(getAuthInstance());
+    } catch (error) {
+        console.error('Error signing in anonymously:', error);
+        throw error;
+    }
+}
+
+/**
+ * Sign in with Google. An anonymous account is upgraded in place so it keeps its uid and data.
+ * If that Google account already belongs to another user (e.g. it was used on another device),
+ * this signs into it instead; the local history is then merged into it by the cloud sync.
+ */
+export async function signInWithGoogle() {
+    const authInstance = getAuthInstance();
+    const provider = new GoogleAuthProvider();
+
+    try {
+        if (authInstance.currentUser?.isAnonymous) {
+            const result = await linkWithPopup(authInstance.currentUser, provider);
+            // Linking doesn't fire onAuthStateChanged, so refresh the store by hand
+            authUser.set(toAuthUser(result.user));
+        } else {
+            await signInWithPopup(authInstance, provider);
+        }
+    } catch (error) {
+        if (error.code === 'auth/credential-already-in-use') {
+            const credential = GoogleAuthProvider.credentialFromError(error);
+            if (credential) {
+                await signInWithCredential(authInstance, credential);
+                return;
+            }
+        }
+        console.error('Error signing in with Google:', error);
+        throw error;
+    }
+}
+
+export async function signOut() {
+    try {
+        await firebaseSignOut(getAuthInstance());
+    } catch (error) {
+        console.error('Error signing out:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,273 @@
+// src/lib/services/cloudSyncService.js
+import { writable, get } from 'svelte/store';
+import { doc, getDoc, setDoc, collection, getDocs, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db } from './initFirebase.js';
+import { initAuth } from './authService.js';
+import { trashStore, purgedSongIds } from './trashService.js';
+import {
+    cookiesAccepted,
+    currentTheme,
+    themeChoices,
+    capitalization,
+    punctuation,
+    ditherImages,
+    recentArtists
+} from './store.js';
+
+// Signed-in users keep their settings and recent artists in users/{uid}. Each completed run
+// is its own document in users/{uid}/completedSongs, since keystroke logs would quickly push
+// a single document past Firestore's 1 MiB limit.
+//
+// Merging when the same account is used on several devices:
+// - runs are matched by id and unioned. The cloud keeps runs this device drops to its history
+//   limit or moves to the deleted area; they're only deleted there once the deleted area is
+//   emptied while signed in
+// - settings are last-write-wins, using the time they were last changed on each device
+// - recent artists are unioned, this device's order first
+
+// 'off' | 'syncing' | 'synced' | 'error'
+export const syncStatus = writable('off');
+
+// localStorage key for when the synced settings last changed on this device
+const LS_SETTINGS_TIME_KEY = 'settingsUpdatedAt';
+const PUSH_DELAY_MS = 2000; // Settle rapid changes (theme cycling) into one write
+const HISTORY_BATCH_SIZE = 50; // Runs with keystroke logs are large; stay well under the batch payload limit
+const RECENT_ARTIST_LIMIT = 7;
+
+let activeUid = null;
+let unsubscribers = [];
+let syncedIds = new Set(); // Run ids known to be in the cloud
+let pendingDeletes = new Set(); // Run ids purged from the deleted area, still to be deleted in the cloud
+let historyQueue = Promise.resolve();
+let pushTimer = null;
+let applyingRemote = false; // Set while remote values are written into the stores
+let settingsUpdatedAt = 0;
+
+function loadSettingsTime() {
+    try {
+        return Number(localStorage.getItem(LS_SETTINGS_TIME_KEY)) || 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+function saveSettingsTime(time) {
+    settingsUpdatedAt = time;
+    if (!get(cookiesAccepted)) return;
+    try {
+        localStorage.setItem(LS_SETTINGS_TIME_KEY, String(time));
+    } catch (error) {
+        console.warn('Failed to save settings time to storage:', error);
+    }
+}
+
+function readSettings() {
+    return {
+        theme: get(currentTheme).name,
+        capitalization: get(capitalization),
+        punctuation: get(punctuation),
+        ditherImages: get(ditherImages)
+    };
+}
+
+function applySettings(settings) {
+    const theme = themeChoices.find(choice => choice.name === settings.theme);
+    if (theme) currentTheme.set(theme);
+    if (typeof settings.capitalization === 'boolean') capitalization.set(settings.capitalization);
+    if (typeof settings.punctuation === 'boolean') punctuation.set(settings.punctuation);
+    if (typeof settings.ditherImages === 'boolean') ditherImages.set(settings.ditherImages);
+}
+
+function isSameArtist(a, b) {
+    if (a.artistId && b.artistId) return a.artistId === b.artistId;
+    if (a.urlKey && b.urlKey) return a.urlKey === b.urlKey;
+    return a.name?.toLowerCase() === b.name?.toLowerCase();
+}
+
+/**
+ * Union two recent-artist lists, keeping the local order first.
+ * @param {Array<Object>} local
+ * @param {Array<Object>} remote
+ */
+export function mergeRecentArtists(local, remote) {
+    const merged = [...local];
+    remote.forEach(artist => {
+        if (artist?.name && !merged.some(existing => isSameArtist(existing, artist))) merged.push(artist);
+    });
+    return merged.slice(0, RECENT_ARTIST_LIMIT);
+}
+
+// Firestore rejects undefined values; older in-memory entries can still carry some
+function toFirestoreData(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function userRef(uid) {
+    return doc(db, 'users', uid);
+}
+
+async function pushUserDoc(uid) {
+    await setDoc(userRef(uid), {
+        settings: readSettings(),
+        settingsUpdatedAt,
+        recentArtists: toFirestoreData(get(recentArtists)),
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+}
+
+function schedulePush() {
+    clearTimeout(pushTimer);
+    const uid = activeUid;
+    pushTimer = setTimeout(() => {
+        if (uid !== activeUid) return;
+        pushUserDoc(uid).catch(error => {
+            console.error('Error syncing settings:', error);
+            syncStatus.set('error');
+        });
+    }, PUSH_DELAY_MS);
+}
+
+// Upload runs the cloud doesn't have yet and delete the ones purged from the deleted area
+async function pushHistory(uid) {
+    if (uid !== activeUid) return;
+    const songs = get(trashStore);
+    const localIds = new Set(songs.map(song => song.id));
+    const added = songs.filter(song => song.id && !song.id.includes('/') && !syncedIds.has(song.id));
+    const removed = [...pendingDeletes].filter(id => syncedIds.has(id) && !localIds.has(id));
+    pendingDeletes = new Set(removed); // Others were never uploaded, or are back in the history
+    if (added.length === 0 && removed.length === 0) return;
+
+    const history = collection(userRef(uid), 'completedSongs');
+    const writes = [
+        ...added.map(song => batch => batch.set(doc(history, song.id), toFirestoreData(song))),
+        ...removed.map(id => batch => batch.delete(doc(history, id)))
+    ];
+    for (let i = 0; i < writes.length; i += HISTORY_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + HISTORY_BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+
+    if (uid !== activeUid) return;
+    added.forEach(song => syncedIds.add(song.id));
+    removed.forEach(id => {
+        syncedIds.delete(id);
+        pendingDeletes.delete(id);
+    });
+}
+
+function queueHistoryPush() {
+    const uid = activeUid;
+    historyQueue = historyQueue
+        .then(() => pushHistory(uid))
+        .then(() => {
+            if (uid === activeUid) syncStatus.set('synced');
+        })
+        .catch(error => {
+            console.error('Error syncing completed songs:', error);
+            if (uid === activeUid) syncStatus.set('error');
+        });
+}
+
+// Store subscriptions fire once straight away; only later calls are local edits
+function skipInitial(callback) {
+    let initial = true;
+    return value => {
+        if (initial) {
+            initial = false;
+            return;
+        }
+        if (!applyingRemote) callback(value);
+    };
+}
+
+function onSettingChange() {
+    saveSettingsTime(Date.now());
+    schedulePush();
+}
+
+function watchStores() {
+    unsubscribers = [
+        currentTheme.subscribe(skipInitial(onSettingChange)),
+        capitalization.subscribe(skipInitial(onSettingChange)),
+        punctuation.subscribe(skipInitial(onSettingChange)),
+        ditherImages.subscribe(skipInitial(onSettingChange)),
+        recentArtists.subscribe(skipInitial(schedulePush)),
+        trashStore.subscribe(skipInitial(queueHistoryPush)),
+        purgedSongIds.subscribe(skipInitial(ids => {
+            ids.forEach(id => pendingDeletes.add(id));
+            queueHistoryPush();
+        }))
+    ];
+}
+
+/**
+ * Merge the signed-in user's cloud data into this device, push what the cloud is missing,
+ * then keep pushing local changes until stopSync().
+ * @param {string} uid
+ */
+export async function startSync(uid) {
+    if (uid === activeUid) return;
+    stopSync();
+    activeUid = uid;
+    syncStatus.set('syncing');
+    settingsUpdatedAt = loadSettingsTime();
+
+    try {
+        const [userSnap, historySnap] = await Promise.all([
+            getDoc(userRef(uid)),
+            getDocs(collection(userRef(uid), 'completedSongs'))
+        ]);
+        if (uid !== activeUid) return;
+
+        const remote = userSnap.exists() ? userSnap.data() : {};
+        applyingRemote = true;
+        try {
+            if (remote.settings && (remote.settingsUpdatedAt || 0) > settingsUpdatedAt) {
+                applySettings(remote.settings);
+                saveSettingsTime(remote.settingsUpdatedAt);
+            }
+            if (Array.isArray(remote.recentArtists)) {
+                recentArtists.set(mergeRecentArtists(get(recentArtists), remote.recentArtists));
+            }
+        } finally {
+            applyingRemote = false;
+        }
+
+        syncedIds = new Set(historySnap.docs.map(snap => snap.id));
+        const { added } = trashStore.mergeSongs(historySnap.docs.map(snap => snap.data()));
+        console.log(`☁️ Cloud sync: merged ${added} run(s) from the cloud`);
+
+        // Watch before pushing so runs finished during the upload are queued behind it
+        watchStores();
+        await pushUserDoc(uid);
+        queueHistoryPush();
+    } catch (error) {
+        console.error('Error starting cloud sync:', error);
+        if (uid === activeUid) syncStatus.set('error');
+    }
+}
+
+/**
+ * Stop pushing changes. Data already on this device stays.
+ */
+export function stopSync() {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = [];
+    clearTimeout(pushTimer);
+    syncedIds = new Set();
+    pendingDeletes = new Set();
+    activeUid = null;
+    syncStatus.set('off');
+}
+
+/**
+ * Follow the signed-in account: start syncing on sign-in, stop on sign-out.
+ * @returns {() => void} Unsubscribe function
+ */
+export function initCloudSync() {
+    return initAuth(user => {
+        if (user) startSync(user.uid);
+        else stopSync();
+    });
+}
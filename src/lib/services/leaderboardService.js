@@ -0,0 +1,59 @@
+// src/lib/services/leaderboardService.js
+import { httpsCallable } from 'firebase/functions';
+import { functions } from './initFirebase.js';
+
+/**
+ * Submit a completed run to the leaderboards (see submitScore in functions/index.js).
+ * The server replays the keystroke log against the song's lyrics (see functions/runValidation.js),
+ * takes the title and artist from the stored song, and needs a signed-in user (see authService.js).
+ * @param {Object} testResults - Result fields as saved to the trash (see formatTestResultsForTrash)
+ * @param {string} playerName - Name shown on the leaderboard
+ * @param {{ punctuation: boolean, continuedSongs: Array<{ songId: string, lineCount: number }> }} textOptions -
+ *   Whether punctuation was shown, and the later songs (with how many of their lines) the run continued into
+ * @returns {Promise<{ accepted: boolean, verdict: string, reasons: Array<{ code: string, message: string }>, scoreId?: string, wpm?: number }>}
+ */
+export async function submitScore(testResults, playerName, textOptions) {
+    const submitScoreCallable = httpsCallable(functions, 'submitScore');
+
+    try {
+        const result = await submitScoreCallable({
+            songId: testResults.songId,
+            artistUrlKey: testResults.artistUrlKey,
+            testMode: testResults.testMode,
+            strictness: testResults.strictness,
+            errorMode: testResults.errorMode,
+            wpm: testResults.wpm,
+            accuracy: testResults.accuracy,
+            excerpt: testResults.excerpt,
+            displayLineIndices: testResults.displayLineIndices,
+            keystrokeLog: testResults.keystrokeLog,
+            punctuation: textOptions.punctuation,
+            continuedSongs: textOptions.continuedSongs,
+            playerName
+        });
+        return result.data;
+    } catch (error) {
+        console.error('Error submitting score:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load the top runs for a song, an artist or a UTC day.
+ * @param {'song'|'artist'|'day'} scope
+ * @param {string} key - Song ID, artist URL key or date ("2025-01-31")
+ * @param {string} testMode - Test mode id (see utils/testModes.js)
+ * @param {number} [limit]
+ * @returns {Promise<Array<{ id: string, playerName: string, wpm: number, accuracy: number, title: string, artist: string, day: string }>>}
+ */
+export async function getLeaderboard(scope, key, testMode, limit = 10) {
+    const getLeaderboardCallable = httpsCallable(functions, 'getLeaderboard');
+
+    try {
+        const result = await getLeaderboardCallable({ scope, key, testMode, limit });
+        return result.data.scores || [];
+    } catch (error) {
+        console.error(`Error loading ${scope} leaderboard:`, error);
+        throw error;
+    }
+}
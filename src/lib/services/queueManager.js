@@ -1,6 +1,13 @@
 // src/lib/services/queueManager.js
 import { loadArtistForQueue, loadSongsForNavigation } from './artistService.js';
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
+import { excerptStrategy, excerptLineCount, nextSongMode } from './store.js';
+import { trashStore } from './trashService.js';
+import { selectExcerptLines } from '../utils/excerptStrategies.js';
+import { aggregateKeyStats } from '../utils/keyStats.js';
+import { DEFAULT_QUEUE_MODE, seededShuffle, orderSongIds } from '../utils/queueOrder.js';
+import { matchesDifficulty } from '../utils/songDifficulty.js';
+import { pickAdaptiveSong } from '../utils/adaptiveQueue.js';
 
 /* -------------------- Reactive stores -------------------- */
 // Full queue (all songs)
@@ -12,6 +19,8 @@ export const queueUpcomingSongs = derived(
   [queueSongs, queueIndex],
   ([$songs, $index]) => $songs.slice($index + 1, Math.min($songs.length, $index + 6))
 );
+// Shuffle, ordering and repeat settings (see utils/queueOrder.js)
+export const queueMode = writable({ ...DEFAULT_QUEUE_MODE });
 
 /**
  * New Queue Manager that integrates with the caching system
@@ -21,12 +30,18 @@ export class CacheAwareQueueManager {
     constructor() {
         this.songs = [];
         this.currentIndex = 0;
-        this.artistUrlKey = null;
+        this.artistUrlKey = null; // Artist most recently loaded; each queue entry carries its own artistUrlKey
         this.artistData = null;
-        this.songIds = []; // Master list from Firebase
+        this.songIds = []; // Song ids in queue order, parallel to this.songs
         this.loadedSongs = new Map(); // Cache of loaded song data
         this.isLoading = false;
         this.preloadRadius = 5; // Number of songs to keep loaded around current position
+        this.keyStatsCache = { songs: null, stats: null }; // Aggregated trash key stats for the weak-keys strategy
+        this.mode = { ...DEFAULT_QUEUE_MODE };
+        this.shuffleSeed = Date.now();
+        this.naturalOrder = []; // Song ids in the order the queue was built, restored by the default order
+        this.songMeta = {}; // Title, release date, pageviews and difficulty by song id, from the artist docs
+        this.hiddenSongs = new Map(); // Entries left out by the difficulty filter, by song id
     }
 
     // Push queue changes to Svelte stores so the UI can update reactively
@@ -36,10 +51,25 @@ export class CacheAwareQueueManager {
         queueIndex.set(this.currentIndex);
     }
 
+    // Excerpt settings, plus the user's key stats when the weak-keys strategy needs them
+    getExcerptOptions() {
+        const strategy = get(excerptStrategy);
+        let keyStats = null;
+        if (strategy === 'weak-keys') {
+            const songs = get(trashStore);
+            if (this.keyStatsCache.songs !== songs) {
+                this.keyStatsCache = { songs, stats: aggregateKeyStats(songs) };
+            }
+            keyStats = this.keyStatsCache.stats;
+        }
+        return { strategy, lineCount: get(excerptLineCount), keyStats };
+    }
+
     /**
-     * Ensure the song has a stable 4-line excerpt and store it on the song object.
-     * The excerpt is chosen once per song and kept in memory with the queue so
-     * navigating back to the song reuses the same lines.
+     * Ensure the song has a stable excerpt and store it on the song object.
+     * The window is picked by the excerpt strategy chosen in Settings, once per song,
+     * and kept in memory with the queue so navigating back to the song reuses the same lines.
+     * `displayLineIndices` index the song's non-empty lines.
      */
     ensureExcerptForSong(song) {
         if (!song || !song.lyrics || typeof song.lyrics !== 'string') return song;
@@ -48,7 +78,7 @@ export class CacheAwareQueueManager {
         if (song.displayLineIndices && Array.isArray(song.displayLineIndices) && song.displayLineIndices.length > 0) {
             // If lyrics currently hold the full lyrics and we have indices, rebuild excerpt
             if (song.fullLyrics && song.lyrics === song.fullLyrics) {
-                const lines = song.fullLyrics.split('\n');
+                const lines = song.fullLyrics.split('\n').filter(l => l.trim().length > 0);
                 song.lyrics = song.displayLineIndices.map(i => lines[i] ?? '').join('\n');
             }
             return song;
@@ -56,17 +86,9 @@ export class CacheAwareQueueManager {
 
         const original = song.lyrics;
         const lines = original.split('\n').filter(l => l.trim().length > 0);
-        const count = 4;
         if (lines.length === 0) return song;
 
-        let indices = [];
-        if (lines.length <= count) {
-            indices = Array.from({ length: lines.length }, (_, i) => i);
-        } else {
-            // Pick a random consecutive window of 4 lines for coherent typing context
-            const start = Math.floor(Math.random() * (lines.length - count + 1));
-            indices = [start, start + 1, start + 2, start + 3];
-        }
+        const indices = selectExcerptLines(lines, this.getExcerptOptions());
 
         const excerpt = indices.map(i => lines[i]).join('\n');
         song.fullLyrics = original; // keep full lyrics for reference
@@ -78,6 +100,104 @@ export class CacheAwareQueueManager {
         return song;
     }
 
+    // Placeholder entry for a song that hasn't been loaded yet
+    createPlaceholder(id, artistName, artistUrlKey, cached) {
+        return {
+            id,
+            loaded: false,
+            cached,
+            title: `Loading...`,
+            artist: artistName,
+            artistUrlKey
+        };
+    }
+
+    // Position of a song in the queue. Looked up by id because mixing in an artist reorders the queue
+    indexOfSong(songId) {
+        return this.songIds.indexOf(songId);
+    }
+
+    // Rebuild songIds and entry indices after the songs array has been rearranged
+    reindex() {
+        this.songs = this.songs.map((song, index) => ({ ...song, index }));
+        this.songIds = this.songs.map(song => song.id);
+    }
+
+    // Stored difficulty score of a queued song, from the loaded song or the artist's songMeta
+    difficultyOf(song) {
+        return song.difficulty ?? this.songMeta[song.id]?.difficulty ?? null;
+    }
+
+    /**
+     * Put the queue in shuffle or sort order and apply the difficulty filter, keeping the current song current.
+     * Songs the filter leaves out wait in hiddenSongs until the filter changes.
+     * @param {boolean} [rebase] - Treat the queue as it is now as its natural order (after it is rebuilt)
+     */
+    arrange(rebase = false) {
+        if (rebase) {
+            this.naturalOrder = [...this.songIds];
+            this.hiddenSongs.clear();
+        }
+
+        // Songs added since the natural order was recorded go at its end
+        const entries = new Map([...this.hiddenSongs, ...this.songs.map(song => [song.id, song])]);
+        const natural = this.naturalOrder.filter(id => entries.has(id));
+        const known = new Set(natural);
+        natural.push(...this.songIds.filter(id => !known.has(id)));
+        this.naturalOrder = natural;
+
+        const currentId = this.songs[this.currentIndex]?.id;
+        let ids = this.mode.shuffle
+            ? seededShuffle(natural, this.shuffleSeed)
+            : orderSongIds(natural, this.mode.order, this.songMeta);
+
+        // A freshly shuffled queue starts with the song that's already playing
+        if (rebase && this.mode.shuffle && currentId !== undefined) {
+            ids = [currentId, ...ids.filter(id => id !== currentId)];
+        }
+
+        // The current song stays even when it doesn't match, so filtering never interrupts a test
+        const shown = ids.filter(id => id === currentId || matchesDifficulty(this.difficultyOf(entries.get(id)), this.mode.difficulty));
+        const shownIds = new Set(shown);
+        this.hiddenSongs = new Map([...entries].filter(([id]) => !shownIds.has(id)));
+
+        this.songs = shown.map(id => {
+            const entry = entries.get(id);
+            return { ...entry, difficulty: this.difficultyOf(entry) };
+        });
+        this.reindex();
+        this.currentIndex = Math.max(0, this.indexOfSong(currentId));
+        this.broadcast();
+    }
+
+    /**
+     * Change shuffle, order, repeat or the difficulty filter. Turning shuffle on draws a new seed, so each shuffle is different
+     * but stays put until shuffle is turned off.
+     * @param {{ shuffle?: boolean, order?: string, repeat?: string, difficulty?: string }} changes
+     */
+    setMode(changes) {
+        if (changes.shuffle && !this.mode.shuffle) this.shuffleSeed = Date.now();
+        const rearrange = changes.shuffle !== undefined || changes.order !== undefined || changes.difficulty !== undefined;
+        this.mode = { ...this.mode, ...changes };
+        queueMode.set({ ...this.mode });
+        if (rearrange && this.songs.length > 0) {
+            this.arrange();
+            this.preloadAroundCurrentPosition();
+        }
+    }
+
+    /**
+     * Queue position `offset` songs away from the current one under the repeat mode, or -1 past either end.
+     * Repeat-one stays on the current song unless `skipRepeatOne` is set (the user pressed next or previous).
+     */
+    indexAt(offset, skipRepeatOne = false) {
+        if (this.mode.repeat === 'one' && !skipRepeatOne) return this.currentIndex;
+        const index = this.currentIndex + offset;
+        if (index >= 0 && index < this.songs.length) return index;
+        if (this.mode.repeat !== 'all' || this.songs.length === 0) return -1;
+        return ((index % this.songs.length) + this.songs.length) % this.songs.length;
+    }
+
     /**
      * Initialize queue with a new artist
      * Step 1 of your queue process: Check if songList is populated, create queue
@@ -96,19 +216,17 @@ export class CacheAwareQueueManager {
             this.artistData = result.artistData;
             this.songIds = result.queueInfo.songIds;
             this.currentIndex = result.song.songIndex || 0;
+            this.songMeta = { ...(result.artistData.songMeta || {}) };
             
             // Clear and initialize songs array with placeholders
             // For new artists, cachedSongIds might be empty initially, so be more flexible
             const cachedSongIds = result.artistData.cachedSongIds || [];
             const isNewArtist = cachedSongIds.length === 0 && result.artistData.totalSongs > 0;
             
+            // For new artists, assume uncached initially
             this.songs = this.songIds.map((id, index) => ({
-                id,
-                index,
-                loaded: false,
-                cached: isNewArtist ? false : cachedSongIds.includes(id), // For new artists, assume uncached initially
-                title: `Loading...`,
-                artist: artist.name
+                ...this.createPlaceholder(id, artist.name, this.artistUrlKey, isNewArtist ? false : cachedSongIds.includes(id)),
+                index
             }));
             
             if (isNewArtist) {
@@ -118,7 +236,7 @@ export class CacheAwareQueueManager {
             
             console.log('🧱 Beginning queue build from first-page songIds (placeholders created)');
             // Load the first song immediately at the correct index
-            const firstWithExcerpt = this.ensureExcerptForSong({ ...result.song });
+            const firstWithExcerpt = this.ensureExcerptForSong({ ...result.song, artistUrlKey: this.artistUrlKey });
             this.loadedSongs.set(firstWithExcerpt.id, firstWithExcerpt);
             this.songs[this.currentIndex] = {
                 ...firstWithExcerpt,
@@ -134,7 +252,7 @@ export class CacheAwareQueueManager {
                 Object.entries(result.preloadedSongs).forEach(([id, songData]) => {
                     const idx = this.songIds.indexOf(id);
                     if (idx !== -1) {
-                        const withExcerpt = this.ensureExcerptForSong({ ...songData });
+                        const withExcerpt = this.ensureExcerptForSong({ ...songData, artistUrlKey: this.artistUrlKey });
                         this.loadedSongs.set(id, withExcerpt);
                         this.songs[idx] = {
                             ...withExcerpt,
@@ -147,6 +265,8 @@ export class CacheAwareQueueManager {
                 this.broadcast();
             }
 
+            this.arrange(true);
+
             console.log("First song with excerpt lyrics:", firstWithExcerpt.lyrics);
             console.log(`📋 Queue initialized: ${this.songs.length} songs, starting with "${result.song.title}"`);
 
@@ -169,6 +289,124 @@ export class CacheAwareQueueManager {
         }
     }
 
+    /**
+     * Mix another artist's songs into the queue without replacing it.
+     * Their songs alternate with the songs already coming up, starting right after the current song,
+     * so several artists can share one queue. Songs already in the queue are skipped.
+     * @returns {Promise<number>} Number of songs added
+     */
+    async addArtist(artist) {
+        if (this.songs.length === 0) {
+            const firstSong = await this.initializeWithArtist(artist);
+            return firstSong ? this.songs.length : 0;
+        }
+
+        console.log('➕ Mixing artist into queue:', artist.name);
+        try {
+            this.isLoading = true;
+
+            const result = await loadArtistForQueue(artist);
+            const artistUrlKey = result.queueInfo.artistUrlKey;
+            const cachedSongIds = result.artistData.cachedSongIds || [];
+            const queued = new Set([...this.songIds, ...this.hiddenSongs.keys()]);
+
+            // Start the artist's run at the song the backend already loaded, so it plays without waiting
+            const artistSongIds = result.queueInfo.songIds;
+            const startIndex = Math.max(0, artistSongIds.indexOf(result.song.id));
+            const added = [...artistSongIds.slice(startIndex), ...artistSongIds.slice(0, startIndex)]
+                .filter(id => !queued.has(id))
+                .map(id => this.createPlaceholder(id, artist.name, artistUrlKey, cachedSongIds.includes(id)));
+
+            if (added.length === 0) {
+                console.log(`📭 Every song by ${artist.name} is already queued`);
+                return 0;
+            }
+
+            // Mix in natural order, so shuffle and sort orders still apply to the whole queue afterwards
+            const currentPosition = this.naturalOrder.indexOf(this.songIds[this.currentIndex]);
+            const played = this.naturalOrder.slice(0, currentPosition + 1);
+            const upcoming = this.naturalOrder.slice(currentPosition + 1);
+            const mixed = [];
+            for (let i = 0; i < Math.max(added.length, upcoming.length); i++) {
+                if (i < added.length) mixed.push(added[i].id);
+                if (i < upcoming.length) mixed.push(upcoming[i]);
+            }
+            this.naturalOrder = [...played, ...mixed];
+            this.songs = [...this.songs, ...added];
+            this.reindex();
+
+            this.artistUrlKey = artistUrlKey;
+            this.artistData = result.artistData;
+            this.songMeta = { ...this.songMeta, ...(result.artistData.songMeta || {}) };
+            this.arrange();
+
+            const loaded = { ...(result.preloadedSongs || {}), [result.song.id]: result.song };
+            Object.entries(loaded).forEach(([id, songData]) => {
+                const idx = this.indexOfSong(id);
+                if (idx === -1 || this.songs[idx].loaded) return;
+                const withExcerpt = this.ensureExcerptForSong({ ...songData, artistUrlKey });
+                this.loadedSongs.set(id, withExcerpt);
+                this.songs[idx] = {
+                    ...withExcerpt,
+                    index: idx,
+                    loaded: true,
+                    cached: Boolean(withExcerpt.lyrics && withExcerpt.lyrics.length > 0)
+                };
+            });
+            this.broadcast();
+
+            console.log(`📋 Added ${added.length} songs by ${artist.name}; queue now has ${this.songs.length} songs`);
+            return added.length;
+
+        } catch (error) {
+            console.error('Error mixing artist into queue:', error);
+            throw error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Replace the queue with a saved playlist (see utils/playlists.js).
+     * Entries are built straight from the playlist's song refs, so no artist is reloaded:
+     * each song is fetched from its own artist when it comes up. Songs already in memory are reused.
+     * @param {Array<{ songId: string, artistUrlKey: string, title: string, artist: string }>} refs
+     * @param {number} [startIndex]
+     * @returns {Promise<Object|null>} The song at startIndex, or null for an empty playlist
+     */
+    async loadPlaylist(refs, startIndex = 0) {
+        if (!refs || refs.length === 0) return null;
+        console.log(`📃 Loading playlist of ${refs.length} songs`);
+
+        // Refs are assumed cached so each load tries Firestore directly before the navigation loader
+        this.songs = refs.map((ref, index) => ({
+            ...this.createPlaceholder(ref.songId, ref.artist, ref.artistUrlKey, true),
+            title: ref.title || `Loading...`,
+            index
+        }));
+        this.songIds = this.songs.map(song => song.id);
+        this.currentIndex = Math.max(0, Math.min(refs.length - 1, startIndex));
+        this.artistUrlKey = refs[this.currentIndex].artistUrlKey;
+        this.artistData = null;
+        this.songMeta = Object.fromEntries(refs.map(ref => [ref.songId, { title: ref.title }]));
+        this.arrange(true);
+
+        const firstSong = await this.loadSongAtIndex(this.currentIndex);
+        this.preloadAroundCurrentPosition();
+        return firstSong;
+    }
+
+    /**
+     * Lyrics of every song loaded so far (the corpus for practice drills)
+     * @param {string} [artistUrlKey] - Only this artist's songs, for queues that mix artists
+     */
+    getLoadedLyrics(artistUrlKey = null) {
+        return [...this.loadedSongs.values()]
+            .filter(song => !artistUrlKey || song.artistUrlKey === artistUrlKey)
+            .map(song => song.fullLyrics || song.lyrics)
+            .filter(Boolean);
+    }
+
     /**
      * Get current song
      */
@@ -179,17 +417,48 @@ export class CacheAwareQueueManager {
         return null;
     }
 
+    /**
+     * Adaptive next song: move the loaded song ahead that best fits the user's recent runs
+     * (see utils/adaptiveQueue.js) up to play next. Returns its index, or -1 to carry on in order.
+     */
+    adaptiveNextIndex() {
+        const results = get(trashStore).map(result => ({
+            ...result,
+            difficulty: result.difficulty ?? this.songMeta[result.songId]?.difficulty ?? null
+        }));
+        const candidates = this.songs.slice(this.currentIndex + 1)
+            .filter(song => song.loaded)
+            .map(song => ({ id: song.id, difficulty: this.difficultyOf(song) }));
+        const pick = pickAdaptiveSong(candidates, results);
+        if (pick === null) return -1;
+
+        // Moving the pick (rather than jumping to it) keeps goToPrevious returning to the song just played
+        const nextIndex = this.currentIndex + 1;
+        const [song] = this.songs.splice(this.indexOfSong(pick), 1);
+        this.songs.splice(nextIndex, 0, song);
+        this.reindex();
+        console.log(`🎚️ Adaptive pick: ${song.title} (difficulty ${this.difficultyOf(song)})`);
+        return nextIndex;
+    }
+
     /**
      * Move to next song with smart loading
      * Step 3 of your queue process: Check if songs are cached, load if needed
+     * @param {boolean} [manual] - The user skipped ahead, so repeat-one moves on instead of replaying
+     *                             and adaptive mode doesn't reorder
      */
-    async goToNext() {
-        if (this.currentIndex >= this.songs.length - 1) {
+    async goToNext(manual = false) {
+        let index = -1;
+        if (!manual && this.mode.repeat !== 'one' && get(nextSongMode) === 'adaptive') {
+            index = this.adaptiveNextIndex();
+        }
+        if (index < 0) index = this.indexAt(1, manual);
+        if (index < 0) {
             console.log('📭 Reached end of queue');
             return null;
         }
 
-        this.currentIndex++;
+        this.currentIndex = index;
         this.broadcast(); // notify index change immediately
 
         const nextSong = this.songs[this.currentIndex];
@@ -210,12 +479,13 @@ export class CacheAwareQueueManager {
      * Move to previous song
      */
     async goToPrevious() {
-        if (this.currentIndex <= 0) {
+        const index = this.indexAt(-1, true);
+        if (index < 0) {
             console.log('📭 Already at beginning of queue');
             return null;
         }
 
-        this.currentIndex--;
+        this.currentIndex = index;
         this.broadcast(); // notify index change immediately
 
         const prevSong = this.songs[this.currentIndex];
@@ -257,6 +527,24 @@ export class CacheAwareQueueManager {
         return this.songs[index];
     }
 
+    /**
+     * Load a song further down the queue without moving the current position.
+     * Timed and word-count tests use this to keep feeding lines past the end of the current song.
+     * @param {number} offset - Distance from the current song (1 = next song)
+     * @returns {Promise<Object|null>} The loaded song, or null past the end of the queue (repeat wraps around)
+     */
+    async peekSong(offset = 1) {
+        const index = this.indexAt(offset);
+        if (index < 0) {
+            return null;
+        }
+
+        if (!this.songs[index].loaded) {
+            await this.loadSongAtIndex(index);
+        }
+        return this.songs[index];
+    }
+
     /**
      * Load a specific song by index - FIXED VERSION
      */
@@ -265,12 +553,14 @@ export class CacheAwareQueueManager {
             throw new Error(`Invalid song index: ${index}`);
         }
 
-        const songId = this.songIds[index];
+        // Each entry is routed to its own artist, so mixed queues load from the right discography
+        const songId = this.songs[index].id;
+        const artistUrlKey = this.songs[index].artistUrlKey || this.artistUrlKey;
         
         // Check if already loaded in memory
         if (this.loadedSongs.has(songId)) {
             const loadedSong = this.loadedSongs.get(songId);
-            this.songs[index] = { ...loadedSong, index, loaded: true, cached: true };
+            this.songs[index] = { ...loadedSong, artistUrlKey, index, loaded: true, cached: true };
             this.broadcast();
             return this.songs[index];
         }
@@ -279,7 +569,7 @@ export class CacheAwareQueueManager {
             console.log(`🔄 Loading song at index ${index}: ${songId}`);
             
             // FIRST: Try to load directly from Firestore (for cached songs)
-            const directResult = await this.tryLoadSongDirectly(songId, index);
+            const directResult = await this.tryLoadSongDirectly(songId, artistUrlKey);
             if (directResult) {
                 console.log(`✅ Loaded cached song directly: ${directResult.title}`);
                 return directResult;
@@ -287,7 +577,7 @@ export class CacheAwareQueueManager {
             
             // FALLBACK: Use the navigation loader for uncached songs
             console.log(`📡 Song not cached, using navigation loader...`);
-            const result = await loadSongsForNavigation(songId, false, this.artistUrlKey);
+            const result = await loadSongsForNavigation(songId, false, artistUrlKey);
             
             // Update loaded songs cache and ensure each has a 4-line excerpt
             Object.entries(result.songs).forEach(([id, songData]) => {
@@ -301,11 +591,11 @@ export class CacheAwareQueueManager {
                     console.warn(`⚠️ Song ${id} returned from navigation loader with null/invalid lyrics`);
                 }
                 
-                const withExcerpt = hasValidLyrics ? this.ensureExcerptForSong({ ...songData }) : { ...songData };
+                const withExcerpt = hasValidLyrics ? this.ensureExcerptForSong({ ...songData, artistUrlKey }) : { ...songData, artistUrlKey };
                 this.loadedSongs.set(id, withExcerpt);
                 
                 // Find and update the song in our queue
-                const songIndex = this.songIds.indexOf(id);
+                const songIndex = this.indexOfSong(id);
                 if (songIndex !== -1) {
                     this.songs[songIndex] = {
                         ...withExcerpt,
@@ -321,14 +611,16 @@ export class CacheAwareQueueManager {
             console.log(`✅ Loaded ${Object.keys(result.songs).length} songs around position ${index}`);
             this.broadcast();
             
-            return this.songs[index];
+            return this.songs[this.indexOfSong(songId)];
             
         } catch (error) {
             console.error(`❌ Error loading song at index ${index}:`, error);
             
-            // Mark as failed but keep placeholder
-            this.songs[index] = {
-                ...this.songs[index],
+            // Mark as failed but keep placeholder (the queue may have been reordered while loading)
+            const failedIndex = this.indexOfSong(songId);
+            if (failedIndex === -1) throw error;
+            this.songs[failedIndex] = {
+                ...this.songs[failedIndex],
                 loaded: false,
                 error: error.message,
                 title: 'Failed to load',
@@ -341,8 +633,10 @@ export class CacheAwareQueueManager {
 
     /**
      * Try to load a song directly from Firestore (for cached songs)
+     * @param {string} songId
+     * @param {string} artistUrlKey - Artist the queue entry belongs to
      */
-    async tryLoadSongDirectly(songId, index) {
+    async tryLoadSongDirectly(songId, artistUrlKey) {
         try {
             // Import Firestore functions
             const { doc, getDoc } = await import('firebase/firestore');
@@ -361,12 +655,14 @@ export class CacheAwareQueueManager {
                         title: songData.title,
                         artist: songData.primaryArtist?.name || songData.artistNames,
                         lyrics: songData.lyrics,
+                        lyricsSections: songData.lyricsSections || null,
+                        difficulty: songData.difficulty ?? null,
                         image: songData.songArtImageUrl,
                         albumArtId: songData.albumArtId,
                         url: songData.url,
                         songId: songId,
                         primaryArtist: songData.primaryArtist?.name,
-                        index: index,
+                        artistUrlKey,
                         loaded: true,
                         cached: true,
                         scrapingStatus: songData.scrapingStatus || 'completed',
@@ -377,10 +673,13 @@ export class CacheAwareQueueManager {
                     
                     // Cache in memory and update queue
                     this.loadedSongs.set(songId, withExcerpt);
-                    this.songs[index] = withExcerpt;
-                    this.broadcast();
+                    const index = this.indexOfSong(songId);
+                    if (index !== -1) {
+                        this.songs[index] = { ...withExcerpt, index };
+                        this.broadcast();
+                    }
                     
-                    return withExcerpt;
+                    return this.songs[index] || withExcerpt;
                 }
             }
             
@@ -409,7 +708,7 @@ export class CacheAwareQueueManager {
         const uncachedSongsToLoad = [];
         
         for (let i = startIndex; i <= endIndex; i++) {
-            if (!this.songs[i].loaded && !this.loadedSongs.has(this.songIds[i])) {
+            if (!this.songs[i].loaded && !this.loadedSongs.has(this.songs[i].id)) {
                 if (this.songs[i].cached) {
                     cachedSongsToLoad.push(i);
                 } else {
@@ -474,10 +773,11 @@ export class CacheAwareQueueManager {
             cachedSongs: cachedCount,
             currentIndex: this.currentIndex,
             currentSong: this.getCurrentSong(),
-            canGoNext: this.currentIndex < this.songs.length - 1,
-            canGoPrevious: this.currentIndex > 0,
+            canGoNext: this.indexAt(1, true) >= 0,
+            canGoPrevious: this.indexAt(-1, true) >= 0,
             artistName: this.artistData?.name,
-            artistUrlKey: this.artistUrlKey
+            artistUrlKey: this.getCurrentSong()?.artistUrlKey || this.artistUrlKey,
+            artistCount: new Set(this.songs.map(song => song.artistUrlKey).filter(Boolean)).size
         };
     }
 
@@ -501,6 +801,9 @@ export class CacheAwareQueueManager {
         this.artistUrlKey = null;
         this.artistData = null;
         this.songIds = [];
+        this.naturalOrder = [];
+        this.songMeta = {};
+        this.hiddenSongs.clear();
         this.loadedSongs.clear();
         this.isLoading = false;
         
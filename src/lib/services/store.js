@@ -1,6 +1,15 @@
 import { writable, derived } from 'svelte/store'
 import Cookies from 'js-cookie';
 import { trashStore } from './trashService.js';
+import { DEFAULT_TEST_MODE } from '../utils/testModes.js';
+import { DEFAULT_EXCERPT_STRATEGY, DEFAULT_EXCERPT_LINE_COUNT } from '../utils/excerptStrategies.js';
+import { DEFAULT_SECTION_FILTER } from '../utils/lyricSections.js';
+import { DEFAULT_STRICTNESS } from '../utils/textNormalize.js';
+import { DEFAULT_ERROR_MODE } from '../utils/errorModes.js';
+import { DEFAULT_GHOST } from '../utils/ghostRacer.js';
+import { DEFAULT_DRILL_SOURCE } from '../utils/drills.js';
+import { DEFAULT_NEXT_SONG_MODE } from '../utils/adaptiveQueue.js';
+import { DEFAULT_HISTORY_RETENTION } from '../utils/historyRetention.js';
 
 export const cookiesAccepted = writable(Cookies.get('cookiesAccepted') === 'true' || false)
 
@@ -167,6 +176,21 @@ export const correctionColors = writable(defaultCorrection);
 export const ditherImages = writable(true);
 export const capitalization = writable(true);
 export const punctuation = writable(true);
+export const testMode = writable(DEFAULT_TEST_MODE);
+export const excerptStrategy = writable(DEFAULT_EXCERPT_STRATEGY);
+export const excerptLineCount = writable(DEFAULT_EXCERPT_LINE_COUNT);
+export const sectionFilter = writable(DEFAULT_SECTION_FILTER);
+export const characterStrictness = writable(DEFAULT_STRICTNESS);
+export const errorMode = writable(DEFAULT_ERROR_MODE);
+export const ghostRacer = writable(DEFAULT_GHOST);
+export const drillSource = writable(DEFAULT_DRILL_SOURCE);
+// How the queue picks the song after the current one (see utils/adaptiveQueue.js)
+export const nextSongMode = writable(DEFAULT_NEXT_SONG_MODE);
+export const leaderboardOptIn = writable(false);
+export const leaderboardName = writable('');
+// How much completed-song history to keep (see utils/historyRetention.js)
+export const historyRetention = writable(DEFAULT_HISTORY_RETENTION);
+historyRetention.subscribe(policyId => trashStore.setRetention(policyId));
 export const recentArtists = writable([]);
 
 let isUpdatingRecentArtists = false;
@@ -222,6 +246,18 @@ cookiesAccepted.subscribe(accepted => {
         const savedDither = Cookies.get('ditherImages');
         const savedCapitalization = Cookies.get('capitalization');
         const savedPunctuation = Cookies.get('punctuation');
+        const savedTestMode = Cookies.get('testMode');
+        const savedExcerptStrategy = Cookies.get('excerptStrategy');
+        const savedExcerptLineCount = Cookies.get('excerptLineCount');
+        const savedSectionFilter = Cookies.get('sectionFilter');
+        const savedCharacterStrictness = Cookies.get('characterStrictness');
+        const savedErrorMode = Cookies.get('errorMode');
+        const savedGhostRacer = Cookies.get('ghostRacer');
+        const savedDrillSource = Cookies.get('drillSource');
+        const savedNextSongMode = Cookies.get('nextSongMode');
+        const savedLeaderboardOptIn = Cookies.get('leaderboardOptIn');
+        const savedLeaderboardName = Cookies.get('leaderboardName');
+        const savedHistoryRetention = Cookies.get('historyRetention');
         const savedArtists = Cookies.get('recentArtists');
 
         if (savedTheme) currentTheme.set(JSON.parse(savedTheme));
@@ -230,6 +266,18 @@ cookiesAccepted.subscribe(accepted => {
         if (savedDither) ditherImages.set(JSON.parse(savedDither));
         if (savedCapitalization) capitalization.set(JSON.parse(savedCapitalization));
         if (savedPunctuation) punctuation.set(JSON.parse(savedPunctuation));
+        if (savedTestMode) testMode.set(JSON.parse(savedTestMode));
+        if (savedExcerptStrategy) excerptStrategy.set(JSON.parse(savedExcerptStrategy));
+        if (savedExcerptLineCount) excerptLineCount.set(JSON.parse(savedExcerptLineCount));
+        if (savedSectionFilter) sectionFilter.set(JSON.parse(savedSectionFilter));
+        if (savedCharacterStrictness) characterStrictness.set(JSON.parse(savedCharacterStrictness));
+        if (savedErrorMode) errorMode.set(JSON.parse(savedErrorMode));
+        if (savedGhostRacer) ghostRacer.set(JSON.parse(savedGhostRacer));
+        if (savedDrillSource) drillSource.set(JSON.parse(savedDrillSource));
+        if (savedNextSongMode) nextSongMode.set(JSON.parse(savedNextSongMode));
+        if (savedLeaderboardOptIn) leaderboardOptIn.set(JSON.parse(savedLeaderboardOptIn));
+        if (savedLeaderboardName) leaderboardName.set(JSON.parse(savedLeaderboardName));
+        if (savedHistoryRetention) historyRetention.set(JSON.parse(savedHistoryRetention));
         if (savedArtists) recentArtists.set(JSON.parse(savedArtists));
 
         // Enable cookies for completed songs (trash)
@@ -272,6 +320,42 @@ cookiesAccepted.subscribe(accepted => {
         punctuation.subscribe(value => {
             Cookies.set('punctuation', JSON.stringify(value));
         });
+        testMode.subscribe(value => {
+            Cookies.set('testMode', JSON.stringify(value));
+        });
+        excerptStrategy.subscribe(value => {
+            Cookies.set('excerptStrategy', JSON.stringify(value));
+        });
+        excerptLineCount.subscribe(value => {
+            Cookies.set('excerptLineCount', JSON.stringify(value));
+        });
+        sectionFilter.subscribe(value => {
+            Cookies.set('sectionFilter', JSON.stringify(value));
+        });
+        characterStrictness.subscribe(value => {
+            Cookies.set('characterStrictness', JSON.stringify(value));
+        });
+        errorMode.subscribe(value => {
+            Cookies.set('errorMode', JSON.stringify(value));
+        });
+        ghostRacer.subscribe(value => {
+            Cookies.set('ghostRacer', JSON.stringify(value));
+        });
+        drillSource.subscribe(value => {
+            Cookies.set('drillSource', JSON.stringify(value));
+        });
+        nextSongMode.subscribe(value => {
+            Cookies.set('nextSongMode', JSON.stringify(value));
+        });
+        leaderboardOptIn.subscribe(value => {
+            Cookies.set('leaderboardOptIn', JSON.stringify(value));
+        });
+        leaderboardName.subscribe(value => {
+            Cookies.set('leaderboardName', JSON.stringify(value));
+        });
+        historyRetention.subscribe(value => {
+            Cookies.set('historyRetention', JSON.stringify(value));
+        });
         imageColors.subscribe(value => {
             Cookies.set('imageColors', JSON.stringify(value));
         });
@@ -294,6 +378,18 @@ cookiesAccepted.subscribe(accepted => {
         Cookies.remove('ditherImages');
         Cookies.remove('capitalization');
         Cookies.remove('punctuation');
+        Cookies.remove('testMode');
+        Cookies.remove('excerptStrategy');
+        Cookies.remove('excerptLineCount');
+        Cookies.remove('sectionFilter');
+        Cookies.remove('characterStrictness');
+        Cookies.remove('errorMode');
+        Cookies.remove('ghostRacer');
+        Cookies.remove('drillSource');
+        Cookies.remove('nextSongMode');
+        Cookies.remove('leaderboardOptIn');
+        Cookies.remove('leaderboardName');
+        Cookies.remove('historyRetention');
         Cookies.remove('recentArtists');
         Cookies.remove('cookiesAccepted');
         
@@ -439,6 +535,10 @@ function calculateResponsiveDimensions(width, height, windowId) {
     const MIN_SETTINGS_WINDOW_HEIGHT = 290;
     const MIN_TRASH_WINDOW_WIDTH = 500;
     const MIN_TRASH_WINDOW_HEIGHT = 250;
+    const MIN_KEY_STATS_WINDOW_WIDTH = 420;
+    const MIN_KEY_STATS_WINDOW_HEIGHT = 320;
+    const MIN_STATS_WINDOW_WIDTH = 460;
+    const MIN_STATS_WINDOW_HEIGHT = 340;
     
     if(windowId === 'typingTestWindow') {
         let calculatedWidth, calculatedHeight;
@@ -512,6 +612,42 @@ function calculateResponsiveDimensions(width, height, windowId) {
             width: Math.max(calculatedWidth, MIN_TRASH_WINDOW_WIDTH),
             height: Math.max(calculatedHeight, MIN_TRASH_WINDOW_HEIGHT)
         };
+    } else if(windowId === 'keyStatsWindow' || windowId === 'leaderboardWindow' || windowId === 'playlistsWindow'){
+        let calculatedWidth, calculatedHeight;
+        
+        if (ratio > 1.65) {
+            // Wide screen
+            calculatedWidth = height * 0.7 * 1.3;
+            calculatedHeight = height * 0.7;
+        } else {
+            // Narrow screen
+            calculatedWidth = width * 0.55;
+            calculatedHeight = width * 0.55 / 1.3;
+        }
+        
+        // Apply minimum size constraints
+        return {
+            width: Math.max(calculatedWidth, MIN_KEY_STATS_WINDOW_WIDTH),
+            height: Math.max(calculatedHeight, MIN_KEY_STATS_WINDOW_HEIGHT)
+        };
+    } else if(windowId === 'statsWindow'){
+        let calculatedWidth, calculatedHeight;
+        
+        if (ratio > 1.65) {
+            // Wide screen
+            calculatedWidth = height * 0.75 * 1.4;
+            calculatedHeight = height * 0.75;
+        } else {
+            // Narrow screen
+            calculatedWidth = width * 0.6;
+            calculatedHeight = width * 0.6 / 1.4;
+        }
+        
+        // Apply minimum size constraints
+        return {
+            width: Math.max(calculatedWidth, MIN_STATS_WINDOW_WIDTH),
+            height: Math.max(calculatedHeight, MIN_STATS_WINDOW_HEIGHT)
+        };
     }
 }
 
@@ -1,5 +1,17 @@
 import { writable, get } from 'svelte/store';
 import Cookies from 'js-cookie';
+import { buildPersonalBests, recordPersonalBest } from '../utils/personalBests.js';
+import { buildDailyRecords, recordDailyResult } from '../utils/dailyChallenge.js';
+import { DEFAULT_HISTORY_RETENTION, applyRetention, pruneDeleted } from '../utils/historyRetention.js';
+import {
+    createPlaylist,
+    addSongsToPlaylist,
+    removeSongFromPlaylist,
+    moveSongInPlaylist,
+    renamePlaylist,
+    sanitizePlaylists,
+    toSongRef
+} from '../utils/playlists.js';
 
 // Track whether the user has accepted data persistence
 let cookiesEnabled = Cookies.get('cookiesAccepted') === 'true';
@@ -7,6 +19,30 @@ let cookiesEnabled = Cookies.get('cookiesAccepted') === 'true';
 // localStorage key used for the song history list.
 // Cookies have a strict 4 KB per-cookie browser limit; localStorage gives ~5 MB.
 const LS_KEY = 'completedSongs';
+// Personal bests are indexed separately so removing runs from the trash doesn't lose them
+const LS_PB_KEY = 'personalBests';
+// Daily challenge bests and streak, kept for the same reason
+const LS_DAILY_KEY = 'dailyRecords';
+// Runs removed from the history, recoverable until the trash is emptied (see utils/historyRetention.js)
+const LS_DELETED_KEY = 'deletedSongs';
+// Saved playlists (see utils/playlists.js)
+const LS_PLAYLISTS_KEY = 'playlists';
+
+// Replay data is the bulk of each run, so it is what gets dropped when storage is full
+const REPLAY_FIELDS = ['keystrokeLog', 'wpmHistory', 'keyStats'];
+
+// Message for the Trash window when the history no longer fits in localStorage, or null
+export const storageWarning = writable(null);
+
+function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+}
+
+function withoutReplayData(song) {
+    const slim = { ...song };
+    REPLAY_FIELDS.forEach(field => slim[field] = null);
+    return slim;
+}
 
 /**
  * Read the saved song list from localStorage.
@@ -34,9 +70,40 @@ function loadFromStorage() {
 function saveToStorage(songs) {
     try {
         localStorage.setItem(LS_KEY, JSON.stringify(songs));
+        storageWarning.set(null);
+        return;
     } catch (error) {
-        console.warn('Failed to save completed songs to storage:', error);
+        if (!isQuotaError(error)) {
+            console.warn('Failed to save completed songs to storage:', error);
+            return;
+        }
+    }
+
+    // Over quota: give up the stored deleted runs first, then the replay data of the oldest runs,
+    // a tenth of the history at a time. The full runs stay in memory until the page is reloaded.
+    console.warn('Completed songs are over the storage quota; saving a slimmer copy');
+    clearDeletedStorage();
+    const slimmed = songs.slice();
+    const step = Math.max(1, Math.ceil(songs.length / 10));
+    let stripped = 0;
+    while (true) {
+        try {
+            localStorage.setItem(LS_KEY, JSON.stringify(slimmed));
+            storageWarning.set(stripped > 0
+                ? `Storage is full: replays of your ${stripped} oldest runs won't be kept after a reload.`
+                : 'Storage is full: deleted runs won\'t be kept after a reload.');
+            return;
+        } catch (error) {
+            if (!isQuotaError(error) || stripped >= slimmed.length) break;
+        }
+        const end = Math.min(slimmed.length, stripped + step);
+        for (let i = stripped; i < end; i++) {
+            const index = slimmed.length - 1 - i;
+            slimmed[index] = withoutReplayData(slimmed[index]);
+        }
+        stripped = end;
     }
+    storageWarning.set('Storage is full: new runs are not being saved. Export your history and delete some runs.');
 }
 
 function clearStorage() {
@@ -48,11 +115,289 @@ function clearStorage() {
     }
 }
 
-// Trash store to manage completed songs (unlimited)
+/**
+ * Read the personal-best index, building it from the song history the first time.
+ */
+function loadPersonalBests(songs) {
+    try {
+        const saved = localStorage.getItem(LS_PB_KEY);
+        if (saved) return JSON.parse(saved);
+    } catch (error) {
+        console.warn('Failed to load personal bests from storage:', error);
+    }
+    return buildPersonalBests(songs);
+}
+
+function savePersonalBests(index) {
+    try {
+        localStorage.setItem(LS_PB_KEY, JSON.stringify(index));
+    } catch (error) {
+        console.warn('Failed to save personal bests to storage:', error);
+    }
+}
+
+function clearPersonalBests() {
+    try {
+        localStorage.removeItem(LS_PB_KEY);
+    } catch (error) {
+        console.warn('Failed to clear personal bests from storage:', error);
+    }
+}
+
+/**
+ * Read the daily challenge records, building them from the song history the first time.
+ */
+function loadDailyRecords(songs) {
+    try {
+        const saved = localStorage.getItem(LS_DAILY_KEY);
+        if (saved) return JSON.parse(saved);
+    } catch (error) {
+        console.warn('Failed to load daily records from storage:', error);
+    }
+    return buildDailyRecords(songs);
+}
+
+function saveDailyRecords(records) {
+    try {
+        localStorage.setItem(LS_DAILY_KEY, JSON.stringify(records));
+    } catch (error) {
+        console.warn('Failed to save daily records to storage:', error);
+    }
+}
+
+function clearDailyRecords() {
+    try {
+        localStorage.removeItem(LS_DAILY_KEY);
+    } catch (error) {
+        console.warn('Failed to clear daily records from storage:', error);
+    }
+}
+
+function loadDeletedFromStorage() {
+    try {
+        const saved = localStorage.getItem(LS_DELETED_KEY);
+        return saved ? pruneDeleted(JSON.parse(saved)) : [];
+    } catch (error) {
+        console.warn('Failed to load deleted songs from storage:', error);
+        return [];
+    }
+}
+
+function saveDeletedToStorage(deleted) {
+    try {
+        localStorage.setItem(LS_DELETED_KEY, JSON.stringify(deleted));
+    } catch (error) {
+        // The history matters more than the deleted area, so don't fight it for space
+        console.warn('Failed to save deleted songs to storage:', error);
+        if (isQuotaError(error)) {
+            clearDeletedStorage();
+            storageWarning.set('Storage is full: deleted runs won\'t be kept after a reload.');
+        }
+    }
+}
+
+function clearDeletedStorage() {
+    try {
+        localStorage.removeItem(LS_DELETED_KEY);
+    } catch (error) {
+        console.warn('Failed to clear deleted songs from storage:', error);
+    }
+}
+
+function loadPlaylistsFromStorage() {
+    try {
+        const saved = localStorage.getItem(LS_PLAYLISTS_KEY);
+        return saved ? sanitizePlaylists(JSON.parse(saved)) : [];
+    } catch (error) {
+        console.warn('Failed to load playlists from storage:', error);
+        return [];
+    }
+}
+
+function savePlaylistsToStorage(lists) {
+    try {
+        localStorage.setItem(LS_PLAYLISTS_KEY, JSON.stringify(lists));
+    } catch (error) {
+        console.warn('Failed to save playlists to storage:', error);
+    }
+}
+
+function clearPlaylistsStorage() {
+    try {
+        localStorage.removeItem(LS_PLAYLISTS_KEY);
+    } catch (error) {
+        console.warn('Failed to clear playlists from storage:', error);
+    }
+}
+
+// Personal bests per song, per artist and overall (see utils/personalBests.js)
+export const personalBests = writable(buildPersonalBests([]));
+
+// Best daily challenge run per day and the current streak (see utils/dailyChallenge.js)
+export const dailyRecords = writable(buildDailyRecords([]));
+
+// Runs removed from the history, newest deletion first, each with a `deletedAt` timestamp
+export const deletedSongs = writable([]);
+
+// Ids of the runs removed for good by the last emptying of the deleted area. Cloud sync deletes
+// these (see cloudSyncService.js); runs dropped by the retention policy stay in the cloud.
+export const purgedSongIds = writable([]);
+
+// Round a stat to 2 decimals, keeping missing values as null (older entries lack the newer metrics)
+function roundStat(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+function byNewestFirst(a, b) {
+    return (b.completedAt || '').localeCompare(a.completedAt || '');
+}
+
+// Saved playlists, persisted next to the song history and with the same consent
+const createPlaylistStore = () => {
+    const { subscribe, set, update } = writable(cookiesEnabled ? loadPlaylistsFromStorage() : []);
+
+    // Apply a change to one playlist and persist the list
+    function updatePlaylist(playlistId, change) {
+        let result = null;
+        update(lists => {
+            const updatedLists = lists.map(playlist => {
+                if (playlist.id !== playlistId) return playlist;
+                result = change(playlist);
+                return result.playlist || result;
+            });
+            if (cookiesEnabled) savePlaylistsToStorage(updatedLists);
+            return updatedLists;
+        });
+        return result;
+    }
+
+    return {
+        subscribe,
+
+        // Called when the user accepts data persistence
+        load: () => set(loadPlaylistsFromStorage()),
+
+        // Called when the user disables data persistence
+        clearStorage: () => clearPlaylistsStorage(),
+
+        // Create an empty playlist. Returns it so callers can add songs or select it.
+        create: (name) => {
+            const playlist = createPlaylist(name);
+            update(lists => {
+                const updatedLists = [...lists, playlist];
+                if (cookiesEnabled) savePlaylistsToStorage(updatedLists);
+                return updatedLists;
+            });
+            return playlist;
+        },
+
+        rename: (playlistId, name) => {
+            updatePlaylist(playlistId, playlist => renamePlaylist(playlist, name));
+        },
+
+        remove: (playlistId) => {
+            update(lists => {
+                const updatedLists = lists.filter(playlist => playlist.id !== playlistId);
+                if (cookiesEnabled) savePlaylistsToStorage(updatedLists);
+                return updatedLists;
+            });
+        },
+
+        // Add queue songs, trash entries or results (see toSongRef). Returns how many were new.
+        addSongs: (playlistId, songs) => {
+            const result = updatePlaylist(playlistId, playlist => addSongsToPlaylist(playlist, songs.map(toSongRef)));
+            return result?.added || 0;
+        },
+
+        removeSong: (playlistId, index) => {
+            updatePlaylist(playlistId, playlist => removeSongFromPlaylist(playlist, index));
+        },
+
+        moveSong: (playlistId, from, to) => {
+            updatePlaylist(playlistId, playlist => moveSongInPlaylist(playlist, from, to));
+        }
+    };
+};
+
+export const playlistStore = createPlaylistStore();
+
+// Trash store to manage completed songs, capped by the retention policy (see utils/historyRetention.js)
 const createTrashStore = () => {
     const initialTrash = cookiesEnabled ? loadFromStorage() : [];
+    if (cookiesEnabled) {
+        personalBests.set(loadPersonalBests(initialTrash));
+        dailyRecords.set(loadDailyRecords(initialTrash));
+        deletedSongs.set(loadDeletedFromStorage());
+    }
 
     const { subscribe, set, update } = writable(initialTrash);
+    let retentionPolicy = DEFAULT_HISTORY_RETENTION;
+    let lastDeletedIds = []; // The most recent deletion, for undo
+
+    function saveDeleted(deleted) {
+        if (cookiesEnabled) saveDeletedToStorage(deleted);
+    }
+
+    // Put runs in the deleted area, stamped with when they got there
+    function addToDeleted(removed) {
+        const deletedAt = new Date().toISOString();
+        deletedSongs.update(deleted => {
+            const updated = pruneDeleted([...removed.map(song => ({ ...song, deletedAt })), ...deleted]);
+            saveDeleted(updated);
+            return updated;
+        });
+    }
+
+    // Runs pushed past the retention policy by new runs go to the deleted area, as they do
+    // when the policy changes (see setRetention), so they can still be restored
+    function retain(songs) {
+        const { kept, expired } = applyRetention(songs, retentionPolicy);
+        if (expired.length > 0) addToDeleted(expired);
+        return kept;
+    }
+
+    // Move runs from the history to the deleted area. Returns how many were moved.
+    function moveToDeleted(songIds) {
+        const ids = new Set(songIds);
+        let removed = [];
+        update(songs => {
+            removed = songs.filter(song => ids.has(song.id));
+            if (removed.length === 0) return songs;
+            const updatedSongs = songs.filter(song => !ids.has(song.id));
+            if (cookiesEnabled) saveToStorage(updatedSongs);
+            return updatedSongs;
+        });
+        if (removed.length === 0) return 0;
+
+        addToDeleted(removed);
+        lastDeletedIds = removed.map(song => song.id);
+        return removed.length;
+    }
+
+    // Move runs from the deleted area back into the history. Returns how many were restored.
+    function restoreFromDeleted(songIds) {
+        const ids = new Set(songIds);
+        let restored = [];
+        deletedSongs.update(deleted => {
+            restored = deleted.filter(song => ids.has(song.id));
+            if (restored.length === 0) return deleted;
+            const remaining = deleted.filter(song => !ids.has(song.id));
+            saveDeleted(remaining);
+            return remaining;
+        });
+        if (restored.length === 0) return 0;
+
+        update(songs => {
+            const knownIds = new Set(songs.map(song => song.id));
+            const returning = restored
+                .filter(song => !knownIds.has(song.id))
+                .map(({ deletedAt, ...song }) => song);
+            const updatedSongs = [...songs, ...returning].sort(byNewestFirst);
+            if (cookiesEnabled) saveToStorage(updatedSongs);
+            return updatedSongs;
+        });
+        return restored.length;
+    }
 
     return {
         subscribe,
@@ -61,19 +406,32 @@ const createTrashStore = () => {
         enableCookies: () => {
             cookiesEnabled = true;
             const songs = loadFromStorage();
+            // Load the deleted area first, since retain may add to it
+            deletedSongs.set(loadDeletedFromStorage());
             if (songs.length > 0) {
-                set(songs);
+                set(retain(songs));
             }
+            personalBests.set(loadPersonalBests(songs));
+            dailyRecords.set(loadDailyRecords(songs));
+            playlistStore.load();
         },
         
         // Called when the user disables data persistence — wipe stored data
         disableCookies: () => {
             cookiesEnabled = false;
             clearStorage();
+            clearPersonalBests();
+            clearDailyRecords();
+            clearDeletedStorage();
+            playlistStore.clearStorage();
         },
         
-        // Add a completed song to trash (newest first, no cap)
+        // Add a completed song to trash (newest first). Runs it pushes past the retention policy
+        // go to the deleted area (see retain).
+        // Returns how the run compares with the personal bests before it (see recordPersonalBest),
+        // plus a `daily` comparison (see recordDailyResult) for daily challenge runs.
         addCompletedSong: (songData) => {
+            let comparison = null;
             update(songs => {
                 const completedSong = {
                     id: `${songData.songId}_${Date.now()}`,
@@ -86,34 +444,128 @@ const createTrashStore = () => {
                     geniusUrl: songData.geniusUrl,
                     wpm: Math.round(songData.wpm * 100) / 100,
                     accuracy: Math.round(songData.accuracy * 100) / 100,
+                    rawWpm: roundStat(songData.rawWpm),
+                    correctedErrors: songData.correctedErrors ?? null,
+                    uncorrectedErrors: songData.uncorrectedErrors ?? null,
+                    consistency: roundStat(songData.consistency),
+                    wpmHistory: songData.wpmHistory || null,
                     charactersTyped: songData.charactersTyped,
                     incorrectChars: songData.incorrectChars,
                     testDuration: songData.testDuration,
+                    testMode: songData.testMode || null,
+                    strictness: songData.strictness || null,
+                    errorMode: songData.errorMode || null,
+                    dailyDate: songData.dailyDate || null,
                     completedAt: new Date().toISOString(),
                     lyricsLength: songData.lyricsLength,
+                    difficulty: songData.difficulty ?? null,
+                    excerpt: songData.excerpt || null,
+                    displayLineIndices: songData.displayLineIndices || null,
+                    keystrokeLog: songData.keystrokeLog || null,
+                    keyStats: songData.keyStats || null,
                     fileName: `${songData.artist} - ${songData.title}.mp3`.replace(/[<>:"/\\|?*]/g, '_'),
                     fileSize: `${Math.round(songData.lyricsLength / 10)}KB`,
                 };
 
-                const updatedSongs = [completedSong, ...songs.filter(s => s.id !== completedSong.id)];
+                personalBests.update(index => {
+                    comparison = recordPersonalBest(index, completedSong);
+                    if (cookiesEnabled) savePersonalBests(index);
+                    return index;
+                });
+
+                comparison.daily = null;
+                if (completedSong.dailyDate) {
+                    dailyRecords.update(records => {
+                        comparison.daily = recordDailyResult(records, completedSong);
+                        if (cookiesEnabled) saveDailyRecords(records);
+                        return records;
+                    });
+                }
+
+                const updatedSongs = retain([completedSong, ...songs.filter(s => s.id !== completedSong.id)]);
                 if (cookiesEnabled) saveToStorage(updatedSongs);
                 return updatedSongs;
             });
+            return comparison;
         },
         
-        // Remove a song from trash
-        removeSong: (songId) => {
+        // Move a song to the deleted area (see undoDelete and restoreSongs)
+        removeSong: (songId) => moveToDeleted([songId]),
+        
+        // Move several songs to the deleted area at once (bulk delete from the Trash window)
+        removeSongs: (songIds) => moveToDeleted(songIds),
+
+        // Restore the runs removed by the most recent delete. Returns how many came back.
+        undoDelete: () => {
+            const restored = restoreFromDeleted(lastDeletedIds);
+            lastDeletedIds = [];
+            return restored;
+        },
+
+        // Restore runs from the deleted area
+        restoreSongs: (songIds) => restoreFromDeleted(songIds),
+
+        // Permanently remove everything in the deleted area
+        emptyDeleted: () => {
+            const ids = get(deletedSongs).map(song => song.id);
+            deletedSongs.set([]);
+            lastDeletedIds = [];
+            if (cookiesEnabled) clearDeletedStorage();
+            if (ids.length > 0) purgedSongIds.set(ids);
+        },
+
+        // Apply a retention policy id from HISTORY_RETENTION_LIST. Runs already past the new cap
+        // go to the deleted area rather than being dropped, so cycling past a short limit in
+        // Settings can be undone; runs that expire later go there as new runs push them out.
+        setRetention: (policyId) => {
+            retentionPolicy = policyId || DEFAULT_HISTORY_RETENTION;
+            const { expired } = applyRetention(get({ subscribe }), retentionPolicy);
+            if (expired.length > 0) moveToDeleted(expired.map(song => song.id));
+        },
+
+        // Merge runs from another device or an import (see cloudSyncService.js). Runs are matched
+        // by id, and runs in the deleted area aren't brought back. Unseen ones are added in completion
+        // order and counted towards the personal bests and daily records, then the retention policy
+        // applies, moving runs past it to the deleted area. Returns how many runs were added, how
+        // many were already here and how many incoming runs were past the retention policy and
+        // went straight to the deleted area.
+        mergeSongs: (entries) => {
+            const result = { added: 0, known: 0, expired: 0 };
             update(songs => {
-                const updatedSongs = songs.filter(song => song.id !== songId);
+                const knownIds = new Set([...songs, ...get(deletedSongs)].map(song => song.id));
+                const incoming = entries.filter(entry => entry?.id && !knownIds.has(entry.id));
+                result.known = entries.length - incoming.length;
+                if (incoming.length === 0) return songs;
+
+                personalBests.update(index => {
+                    incoming.forEach(entry => recordPersonalBest(index, entry));
+                    if (cookiesEnabled) savePersonalBests(index);
+                    return index;
+                });
+                dailyRecords.update(records => {
+                    incoming.filter(entry => entry.dailyDate).forEach(entry => recordDailyResult(records, entry));
+                    if (cookiesEnabled) saveDailyRecords(records);
+                    return records;
+                });
+
+                const updatedSongs = retain([...songs, ...incoming].sort(byNewestFirst));
+                const keptIds = new Set(updatedSongs.map(song => song.id));
+                result.added = incoming.filter(entry => keptIds.has(entry.id)).length;
+                result.expired = incoming.length - result.added;
                 if (cookiesEnabled) saveToStorage(updatedSongs);
                 return updatedSongs;
             });
+            return result;
         },
-        
-        // Clear all completed songs
+
+        // Move all completed songs to the deleted area
         clearAll: () => {
-            set([]);
-            if (cookiesEnabled) clearStorage();
+            let ids = [];
+            update(songs => {
+                ids = songs.map(song => song.id);
+                return songs;
+            });
+            return moveToDeleted(ids);
         },
         
         // Get song by ID
@@ -151,10 +603,24 @@ export const formatTestResultsForTrash = (testResults) => {
         
         wpm: testResults.wpm,
         accuracy: testResults.accuracy,
+        rawWpm: testResults.rawWpm,
+        correctedErrors: testResults.correctedErrors,
+        uncorrectedErrors: testResults.uncorrectedErrors,
+        consistency: testResults.consistency,
+        wpmHistory: testResults.wpmHistory, // Per-second samples: { second, wpm, raw, burst, errors }
         charactersTyped: testResults.charactersTyped,
         incorrectChars: testResults.incorrectChars,
         testDuration: testResults.testDuration,
+        testMode: testResults.testMode, // Test shape that produced the result (see utils/testModes.js)
+        strictness: testResults.strictness, // Character strictness level the input was matched with
+        errorMode: testResults.errorMode, // How mistakes were handled (see utils/errorModes.js)
+        dailyDate: testResults.dailyDate, // UTC day of the daily challenge the run was for, if any
         lyricsLength: testResults.lyricsLength || testResults.lyrics?.length || 0,
+        difficulty: testResults.difficulty, // Lyric difficulty score of the song (see utils/songDifficulty.js)
+        excerpt: testResults.excerpt, // Exact text that was typed, for replaying the session
+        displayLineIndices: testResults.displayLineIndices, // Song lines the excerpt came from (non-empty line indices)
+        keystrokeLog: testResults.keystrokeLog, // Per-keystroke events with high-resolution timestamps
+        keyStats: testResults.keyStats, // Per-character and letter-pair miss/latency tallies
     };
 };
 
@@ -0,0 +1,86 @@
+/**
+ * How the queue picks the song that plays after one finishes.
+ * - in-order: the next song in the queue
+ * - adaptive: among the songs already loaded ahead, the one whose difficulty (see songDifficulty.js)
+ *   sits just above the level of your recent runs. Songs you just failed are passed over, so they
+ *   come back later in the queue. With no scored song loaded, the queue plays in order.
+ */
+
+export const DEFAULT_NEXT_SONG_MODE = 'in-order';
+
+export const NEXT_SONG_MODES = [
+	{ id: 'in-order', label: 'In Order' },
+	{ id: 'adaptive', label: 'Adaptive' }
+];
+
+const ADAPTIVE_WINDOW = 10; // Recent runs the comfort level is read from
+const FAILED_ACCURACY = 85; // Runs below this accuracy count as failed
+const STRETCH = 5; // How far above the comfort level the next song aims
+
+/**
+ * Look up a next-song mode by id, falling back to in-order for unknown ids.
+ * @param {string} id
+ */
+export function getNextSongMode(id) {
+	return NEXT_SONG_MODES.find(mode => mode.id === id) || NEXT_SONG_MODES[0];
+}
+
+/**
+ * Difficulty the user handles comfortably: the average difficulty of recent runs they passed.
+ * When every recent run failed, it drops below the easiest of them so the next song eases off.
+ * @param {Array<{ difficulty: number|null, accuracy: number }>} results - Newest first
+ * @returns {number|null} null until a recent run has a difficulty score
+ */
+export function getComfortLevel(results) {
+	const recent = results.slice(0, ADAPTIVE_WINDOW).filter(result => typeof result.difficulty === 'number');
+	if (recent.length === 0) return null;
+
+	const passed = recent.filter(result => result.accuracy >= FAILED_ACCURACY);
+	if (passed.length === 0) {
+		return Math.max(0, Math.min(...recent.map(result => result.difficulty)) - STRETCH);
+	}
+	return passed.reduce((sum, result) => sum + result.difficulty, 0) / passed.length;
+}
+
+/**
+ * Songs whose latest recent run failed. A later pass clears an earlier failure.
+ * @param {Array<{ songId: string|number, accuracy: number }>} results - Newest first
+ * @returns {Set<string>}
+ */
+export function getFailedSongIds(results) {
+	const latest = new Map();
+	for (const result of results.slice(0, ADAPTIVE_WINDOW)) {
+		const songId = String(result.songId);
+		if (!latest.has(songId)) latest.set(songId, result.accuracy);
+	}
+	return new Set([...latest].filter(([, accuracy]) => accuracy < FAILED_ACCURACY).map(([songId]) => songId));
+}
+
+/**
+ * Pick the next song for adaptive mode.
+ * Aims just above the comfort level; songs below it only win when nothing harder is loaded.
+ * Ties go to the song earlier in the queue.
+ * @param {Array<{ id: string, difficulty: number|null }>} candidates - Loaded songs ahead, in queue order
+ * @param {Array<Object>} results - Recent runs, newest first, with `songId`, `accuracy` and `difficulty`
+ * @returns {string|null} The chosen song id, or null to play the queue in order
+ */
+export function pickAdaptiveSong(candidates, results) {
+	const comfort = getComfortLevel(results);
+	if (comfort === null) return null;
+
+	const failed = getFailedSongIds(results);
+	const target = comfort + STRETCH;
+	let best = null;
+	let bestDistance = Infinity;
+	for (const candidate of candidates) {
+		if (typeof candidate.difficulty !== 'number' || failed.has(String(candidate.id))) continue;
+		const distance = candidate.difficulty >= comfort
+			? Math.abs(candidate.difficulty - target)
+			: target - candidate.difficulty + STRETCH;
+		if (distance < bestDistance) {
+			best = candidate.id;
+			bestDistance = distance;
+		}
+	}
+	return best;
+}
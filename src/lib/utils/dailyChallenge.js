@@ -0,0 +1,77 @@
+/**
+ * Local record of daily challenge runs (see getDailyChallenge in functions/index.js).
+ * Challenges change at midnight UTC. The best run of each day is kept, and the streak counts
+ * consecutive days with at least one run. A streak stays alive until a whole day is missed.
+ */
+import { isBetter } from './personalBests.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC calendar day, matching the server's challenge key.
+ * @param {Date} [date]
+ * @returns {string} e.g. "2025-01-31"
+ */
+export function getUtcDateKey(date = new Date()) {
+	return date.toISOString().slice(0, 10);
+}
+
+function previousDateKey(dateKey) {
+	return getUtcDateKey(new Date(Date.parse(dateKey) - DAY_MS));
+}
+
+/**
+ * @returns {{ days: Object<string, { entryId: string, wpm: number, accuracy: number, title: string }> }}
+ */
+export function createDailyRecords() {
+	return { days: {} };
+}
+
+/**
+ * Consecutive challenge days up to today, or up to yesterday while today is still open.
+ * @param {Object} records - From createDailyRecords
+ * @param {string} [todayKey]
+ * @returns {number}
+ */
+export function getDailyStreak(records, todayKey = getUtcDateKey()) {
+	const days = records?.days || {};
+	let day = days[todayKey] ? todayKey : previousDateKey(todayKey);
+	let streak = 0;
+	while (days[day]) {
+		streak++;
+		day = previousDateKey(day);
+	}
+	return streak;
+}
+
+/**
+ * Record a daily challenge run. The records are updated in place.
+ * @param {Object} records - From createDailyRecords
+ * @param {Object} entry - Trash entry with a dailyDate
+ * @returns {{ previous: Object|null, isBest: boolean, streak: number }}
+ */
+export function recordDailyResult(records, entry) {
+	const previous = records.days[entry.dailyDate] || null;
+	const isBest = isBetter(entry, previous);
+	if (isBest) {
+		records.days[entry.dailyDate] = {
+			entryId: entry.id,
+			wpm: entry.wpm,
+			accuracy: entry.accuracy,
+			title: entry.title
+		};
+	}
+	return { previous, isBest, streak: getDailyStreak(records, entry.dailyDate) };
+}
+
+/**
+ * Rebuild the records from a list of trash entries (newest first, as the trash stores them).
+ * @param {Array<Object>} entries
+ */
+export function buildDailyRecords(entries) {
+	const records = createDailyRecords();
+	[...(entries || [])].reverse().forEach(entry => {
+		if (entry.dailyDate && typeof entry.wpm === 'number') recordDailyResult(records, entry);
+	});
+	return records;
+}
@@ -0,0 +1,154 @@
+/**
+ * Practice drills: short passages built from an artist's lyrics instead of a single song.
+ * - frequent: the words the artist uses most
+ * - mistyped: the words you got wrong most often in past runs of the artist
+ * - weak-pairs: two-word phrases from the lyrics that contain your weakest letter pairs
+ */
+import { buildReplayTimeline } from './keystrokeLog.js';
+import { getNormalizer } from './textNormalize.js';
+import { getWeakestKeys } from './keyStats.js';
+
+export const DEFAULT_DRILL_SOURCE = 'frequent';
+
+export const DRILL_SOURCES = [
+	{ id: 'frequent', label: 'Frequent Words' },
+	{ id: 'mistyped', label: 'Mistyped Words' },
+	{ id: 'weak-pairs', label: 'Weak Pairs' }
+];
+
+const DRILL_WORD_COUNT = 30;
+const WORDS_PER_LINE = 6;
+const POOL_SIZE = 40; // Only the top entries of a source are drilled
+const WEAK_PAIR_COUNT = 8;
+
+/**
+ * Look up a drill source by id, falling back to frequent words for unknown ids.
+ * @param {string} id
+ */
+export function getDrillSource(id) {
+	return DRILL_SOURCES.find(source => source.id === id) || DRILL_SOURCES[0];
+}
+
+// Lowercase a word and trim the punctuation around it; apostrophes inside words stay
+function cleanWord(word) {
+	return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+function tokenize(text) {
+	return String(text || '').split(/\s+/).map(cleanWord).filter(word => word.length > 1);
+}
+
+function addCount(counts, key, amount = 1) {
+	counts.set(key, (counts.get(key) || 0) + amount);
+}
+
+// Highest counts first, cut to the pool size
+function topEntries(counts) {
+	return [...counts.entries()]
+		.sort((a, b) => b[1] - a[1])
+		.slice(0, POOL_SIZE)
+		.map(([text, weight]) => ({ text, weight }));
+}
+
+function frequentWords(corpus) {
+	const counts = new Map();
+	corpus.forEach(lyrics => tokenize(lyrics).forEach(word => addCount(counts, word)));
+	return topEntries(counts);
+}
+
+// Every mistyped key counts against the word it was typed in
+function mistypedWords(entries) {
+	const counts = new Map();
+	entries.forEach(entry => {
+		if (!entry.excerpt || !entry.keystrokeLog) return;
+		const normalize = getNormalizer(entry.strictness);
+		const expected = normalize(entry.excerpt);
+		const wordAt = [];
+		for (const match of entry.excerpt.matchAll(/\S+/g)) {
+			const word = cleanWord(match[0]);
+			for (let i = 0; i < match[0].length; i++) wordAt[match.index + i] = word;
+		}
+
+		buildReplayTimeline(entry.keystrokeLog).forEach(({ event }) => {
+			if (event.type !== 'key' && event.type !== 'rejected') return;
+			const typed = normalize(event.text);
+			for (let i = 0; i < typed.length; i++) {
+				const pos = event.pos + i;
+				const word = wordAt[pos];
+				if (word && word.length > 1 && typed[i] !== expected[pos]) addCount(counts, word);
+			}
+		});
+	});
+	return topEntries(counts);
+}
+
+// Two-word phrases weighted by how many weak pairs they hold and how often they appear
+function weakPairPhrases(corpus, keyStats) {
+	const pairs = getWeakestKeys(keyStats?.bigrams || {}, { limit: WEAK_PAIR_COUNT, minAttempts: 3 })
+		.map(stat => stat.key.toLowerCase());
+	if (pairs.length === 0) return [];
+
+	const counts = new Map();
+	corpus.forEach(lyrics => {
+		String(lyrics || '').split('\n').forEach(line => {
+			const words = tokenize(line);
+			for (let i = 0; i + 1 < words.length; i++) {
+				const phrase = `${words[i]} ${words[i + 1]}`;
+				const hits = pairs.filter(pair => phrase.includes(pair)).length;
+				if (hits > 0) addCount(counts, phrase, hits);
+			}
+		});
+	});
+	return topEntries(counts);
+}
+
+// Weighted random picks until the word budget is used, never the same entry twice in a row
+function buildPassage(pool) {
+	const totalWeight = pool.reduce((sum, entry) => sum + entry.weight, 0);
+	const words = [];
+	let previous = null;
+	while (words.length < DRILL_WORD_COUNT) {
+		let roll = Math.random() * totalWeight;
+		let pick = pool[pool.length - 1];
+		for (const entry of pool) {
+			roll -= entry.weight;
+			if (roll <= 0) {
+				pick = entry;
+				break;
+			}
+		}
+		if (pick === previous && pool.length > 1) continue;
+		words.push(...pick.text.split(' '));
+		previous = pick;
+	}
+
+	const lines = [];
+	for (let i = 0; i < words.length; i += WORDS_PER_LINE) {
+		lines.push(words.slice(i, i + WORDS_PER_LINE).join(' '));
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Build a drill passage.
+ * @param {string} sourceId - Drill source id from DRILL_SOURCES
+ * @param {Object} data
+ * @param {string[]} data.corpus - Lyrics of the artist's loaded songs
+ * @param {Array<Object>} data.entries - Trash entries for the artist, used by 'mistyped'
+ * @param {Object} data.keyStats - Aggregated key stats (see keyStats.js), used by 'weak-pairs'
+ * @returns {string|null} Lines of practice text, or null when the source has nothing to drill yet
+ */
+export function buildDrill(sourceId, { corpus = [], entries = [], keyStats = null } = {}) {
+	let pool;
+	switch (getDrillSource(sourceId).id) {
+		case 'mistyped':
+			pool = mistypedWords(entries);
+			break;
+		case 'weak-pairs':
+			pool = weakPairPhrases(corpus, keyStats);
+			break;
+		default:
+			pool = frequentWords(corpus);
+	}
+	return pool.length > 0 ? buildPassage(pool) : null;
+}
@@ -0,0 +1,70 @@
+/**
+ * How mistakes are handled while typing.
+ * - free: type past mistakes; uncorrected errors come off net WPM
+ * - stop-letter: a wrong key is refused and the cursor stays put
+ * - stop-word: the space after a word is refused until the word is fixed
+ * - confidence: backspace is disabled, so every mistake stays in the text
+ * Modes that block errors finish with no uncorrected errors, so their accuracy is
+ * taken over every key pressed, refused ones included.
+ */
+export const DEFAULT_ERROR_MODE = 'free';
+
+export const ERROR_MODES = [
+	{ id: 'free', label: 'Free', blocksErrors: false },
+	{ id: 'stop-letter', label: 'Stop on Letter', blocksErrors: true },
+	{ id: 'stop-word', label: 'Stop on Word', blocksErrors: true },
+	{ id: 'confidence', label: 'Confidence', blocksErrors: false }
+];
+
+/**
+ * Look up an error mode by id, falling back to free typing for unknown ids.
+ * @param {string} id
+ */
+export function getErrorMode(id) {
+	return ERROR_MODES.find(mode => mode.id === id) || ERROR_MODES[0];
+}
+
+/**
+ * Check an input change against the error mode.
+ * @param {string} id - Error mode id
+ * @param {string} previousValue - Input before the change
+ * @param {string} nextValue - Input after the change
+ * @param {string} expectedText - Normalized lyrics being typed
+ * @param {(text: string) => string} normalize - Normalization applied to typed input
+ * @returns {{ allowed: boolean, blockedAt: number|null, rejectedText: string|null }}
+ *   blockedAt is the position the cursor is held at; rejectedText is the refused key, when it counts as a miss
+ */
+export function checkInputChange(id, previousValue, nextValue, expectedText, normalize) {
+	const allowed = { allowed: true, blockedAt: null, rejectedText: null };
+	const mode = getErrorMode(id).id;
+	const isAppend = nextValue.length > previousValue.length && nextValue.startsWith(previousValue);
+
+	if (mode === 'confidence') {
+		return isAppend ? allowed : { allowed: false, blockedAt: null, rejectedText: null };
+	}
+	if (!isAppend) return allowed;
+
+	const typed = normalize(nextValue.slice(previousValue.length));
+	for (let i = 0; i < typed.length; i++) {
+		const pos = previousValue.length + i;
+		if (mode === 'stop-letter' && typed[i] !== expectedText[pos]) {
+			return { allowed: false, blockedAt: pos, rejectedText: nextValue[pos] };
+		}
+		if (mode === 'stop-word' && typed[i] === ' ' && expectedText[pos] === ' '
+			&& normalize(nextValue.slice(0, pos)) !== expectedText.slice(0, pos)) {
+			return { allowed: false, blockedAt: pos, rejectedText: null };
+		}
+	}
+	return allowed;
+}
+
+/**
+ * Whether typing the last character may end the test. Stop-on-word also holds the final word until it is fixed.
+ * @param {string} id - Error mode id
+ * @param {string} value - Current input
+ * @param {string} expectedText - Normalized lyrics being typed
+ * @param {(text: string) => string} normalize
+ */
+export function canFinish(id, value, expectedText, normalize) {
+	return getErrorMode(id).id !== 'stop-word' || normalize(value) === expectedText;
+}
@@ -0,0 +1,154 @@
+/**
+ * Ways of choosing which consecutive lyric lines a song's excerpt uses.
+ * Every strategy works on the song's non-empty lines and returns the indices of the
+ * chosen window, which the queue stores as `displayLineIndices` so the choice sticks per song.
+ */
+import { describeKeyStat } from './keyStats.js';
+
+export const DEFAULT_EXCERPT_STRATEGY = 'random';
+export const DEFAULT_EXCERPT_LINE_COUNT = 4;
+export const EXCERPT_LINE_COUNTS = [2, 3, 4, 6, 8];
+
+export const EXCERPT_STRATEGIES = [
+	{ id: 'random', label: 'Random' },
+	{ id: 'chorus', label: 'Chorus First' },
+	{ id: 'verse', label: 'Verse Only' },
+	{ id: 'weak-keys', label: 'Weak Keys' }
+];
+
+// Characters seen fewer times than this don't count towards a window's difficulty
+const MIN_KEY_ATTEMPTS = 5;
+
+/**
+ * Look up a strategy by id, falling back to random for unknown ids.
+ * @param {string} id
+ */
+export function getExcerptStrategy(id) {
+	return EXCERPT_STRATEGIES.find(strategy => strategy.id === id) || EXCERPT_STRATEGIES[0];
+}
+
+// Compare lines the way a listener would: case, punctuation and spacing don't make a line different
+function normalizeLine(line) {
+	return line.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+function countOccurrences(keys) {
+	const counts = new Map();
+	keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+	return counts;
+}
+
+function windowIndices(start, count) {
+	return Array.from({ length: count }, (_, i) => start + i);
+}
+
+function randomStart(candidates) {
+	return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+/**
+ * Pick the start of the window with the highest score. Ties go to a random candidate
+ * so songs with flat scores still vary between plays.
+ */
+function bestStart(windowCount, score) {
+	let best = -Infinity;
+	let candidates = [];
+	for (let start = 0; start < windowCount; start++) {
+		const value = score(start);
+		if (value > best) {
+			best = value;
+			candidates = [start];
+		} else if (value === best) {
+			candidates.push(start);
+		}
+	}
+	return { start: randomStart(candidates), score: best };
+}
+
+// Most repeated block of lines; falls back to the window with the most repeated lines
+function chorusStart(lines, count) {
+	const normalized = lines.map(normalizeLine);
+	const windowCount = lines.length - count + 1;
+	const blockKeys = Array.from({ length: windowCount }, (_, start) => normalized.slice(start, start + count).join('\n'));
+	const blockCounts = countOccurrences(blockKeys);
+
+	const repeatedBlock = bestStart(windowCount, start => blockCounts.get(blockKeys[start]));
+	if (repeatedBlock.score > 1) {
+		// Take the first time the chorus comes round rather than a random repeat
+		return blockKeys.indexOf(blockKeys[repeatedBlock.start]);
+	}
+
+	const lineCounts = countOccurrences(normalized);
+	const repeatedLines = bestStart(windowCount, start =>
+		normalized.slice(start, start + count).reduce((sum, line) => sum + (lineCounts.get(line) - 1), 0)
+	);
+	return repeatedLines.start;
+}
+
+// Lines that appear only once are verse; prefer windows with no repeated lines at all
+function verseStart(lines, count) {
+	const normalized = lines.map(normalizeLine);
+	const lineCounts = countOccurrences(normalized);
+	const windowCount = lines.length - count + 1;
+	return bestStart(windowCount, start =>
+		-normalized.slice(start, start + count).filter(line => lineCounts.get(line) > 1).length
+	).start;
+}
+
+// Average miss rate of the user's weak characters and letter pairs across the window
+function weakKeysStart(lines, count, keyStats) {
+	const missRate = (table, key) => {
+		const stat = describeKeyStat(table?.[key]);
+		return stat.attempts >= MIN_KEY_ATTEMPTS ? stat.missRate : 0;
+	};
+	const windowCount = lines.length - count + 1;
+
+	return bestStart(windowCount, start => {
+		const text = lines.slice(start, start + count).join(' ');
+		if (text.length === 0) return 0;
+		let score = 0;
+		for (let i = 0; i < text.length; i++) {
+			score += missRate(keyStats.chars, text[i]);
+			if (i > 0 && text[i - 1] !== ' ' && text[i] !== ' ') {
+				score += missRate(keyStats.bigrams, text[i - 1] + text[i]);
+			}
+		}
+		return score / text.length;
+	}).start;
+}
+
+/**
+ * Choose the excerpt window for a song.
+ * @param {string[]} lines - The song's non-empty lines
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Strategy id from EXCERPT_STRATEGIES
+ * @param {number} [options.lineCount] - Lines in the excerpt
+ * @param {Object} [options.keyStats] - Aggregated key stats (see keyStats.js), used by 'weak-keys'
+ * @returns {number[]} Indices into `lines`
+ */
+export function selectExcerptLines(lines, { strategy = DEFAULT_EXCERPT_STRATEGY, lineCount = DEFAULT_EXCERPT_LINE_COUNT, keyStats = null } = {}) {
+	const count = Math.max(1, lineCount);
+	if (lines.length <= count) {
+		return windowIndices(0, lines.length);
+	}
+
+	let start;
+	switch (getExcerptStrategy(strategy).id) {
+		case 'chorus':
+			start = chorusStart(lines, count);
+			break;
+		case 'verse':
+			start = verseStart(lines, count);
+			break;
+		case 'weak-keys':
+			start = keyStats
+				? weakKeysStart(lines, count, keyStats)
+				: Math.floor(Math.random() * (lines.length - count + 1));
+			break;
+		default:
+			// Pick a random consecutive window for coherent typing context
+			start = Math.floor(Math.random() * (lines.length - count + 1));
+	}
+
+	return windowIndices(start, count);
+}
@@ -0,0 +1,100 @@
+/**
+ * Ghost racer: a second cursor that types the same text alongside you.
+ * The ghost replays your best run on the song when its keystroke log covers the same text,
+ * otherwise it moves at a steady pace (your best run's WPM, or a fixed target).
+ */
+import { buildReplayTimeline } from './keystrokeLog.js';
+
+const CHARS_PER_WORD = 5;
+
+export const DEFAULT_GHOST = 'off';
+
+export const GHOST_OPTIONS = [
+	{ id: 'off', label: 'Off' },
+	{ id: 'best', label: 'Your Best' },
+	{ id: 'wpm-40', label: '40 WPM', wpm: 40 },
+	{ id: 'wpm-60', label: '60 WPM', wpm: 60 },
+	{ id: 'wpm-80', label: '80 WPM', wpm: 80 },
+	{ id: 'wpm-100', label: '100 WPM', wpm: 100 },
+	{ id: 'wpm-120', label: '120 WPM', wpm: 120 }
+];
+
+/**
+ * Look up a ghost option by id, falling back to off for unknown ids.
+ * @param {string} id
+ */
+export function getGhostOption(id) {
+	return GHOST_OPTIONS.find(option => option.id === id) || GHOST_OPTIONS[0];
+}
+
+/**
+ * Work out who the ghost is for a test.
+ * @param {string} id - Ghost option id
+ * @param {Object|null} bestEntry - Trash entry holding the best run on this song and mode, if any
+ * @param {string} text - Text about to be typed, as displayed
+ * @returns {{ label: string, wpm: number|null, timeline: Array<{ at: number, length: number }>|null }|null}
+ *   null when there is nothing to race
+ */
+export function createGhost(id, bestEntry, text) {
+	const option = getGhostOption(id);
+	if (option.id === 'off') return null;
+	if (option.wpm) return { label: option.label, wpm: option.wpm, timeline: null };
+	if (!bestEntry) return null;
+
+	// The recorded run only lines up when it typed the same text (a timed run may have typed just the start of it)
+	if (bestEntry.excerpt && text.startsWith(bestEntry.excerpt) && bestEntry.keystrokeLog?.events?.length) {
+		const timeline = buildReplayTimeline(bestEntry.keystrokeLog).map(({ at, value }) => ({ at, length: value.length }));
+		return { label: 'your best', wpm: null, timeline };
+	}
+	return bestEntry.wpm > 0 ? { label: 'your best', wpm: bestEntry.wpm, timeline: null } : null;
+}
+
+/**
+ * Characters the ghost has typed after some active time.
+ * @param {Object} ghost - Ghost from createGhost
+ * @param {number} elapsedMs - Active time since the first keystroke
+ * @returns {number}
+ */
+export function ghostPositionAt(ghost, elapsedMs) {
+	if (ghost.timeline) {
+		let length = 0;
+		for (const point of ghost.timeline) {
+			if (point.at > elapsedMs) break;
+			length = point.length;
+		}
+		return length;
+	}
+	return Math.floor((elapsedMs / 60000) * ghost.wpm * CHARS_PER_WORD);
+}
+
+/**
+ * Active time the ghost takes to reach a position, or null if its run never got that far.
+ * @param {Object} ghost
+ * @param {number} length - Characters typed
+ * @returns {number|null} Milliseconds
+ */
+export function ghostTimeTo(ghost, length) {
+	if (ghost.timeline) {
+		const point = ghost.timeline.find(point => point.length >= length);
+		return point ? point.at : null;
+	}
+	return (length / (ghost.wpm * CHARS_PER_WORD)) * 60000;
+}
+
+/**
+ * Compare a finished test with the ghost over the same number of characters.
+ * @param {Object} ghost
+ * @param {number} charactersTyped
+ * @param {number} durationMs - Your active typing time
+ * @returns {{ label: string, beat: boolean, marginSeconds: number|null }} marginSeconds is null when
+ *   the ghost's run never got as far as you did
+ */
+export function compareWithGhost(ghost, charactersTyped, durationMs) {
+	const ghostMs = ghostTimeTo(ghost, charactersTyped);
+	if (ghostMs === null) return { label: ghost.label, beat: true, marginSeconds: null };
+	return {
+		label: ghost.label,
+		beat: durationMs < ghostMs,
+		marginSeconds: Math.abs(ghostMs - durationMs) / 1000
+	};
+}
@@ -0,0 +1,124 @@
+/**
+ * Export and import of the completed-song history (see trashService.js).
+ * - JSON: a versioned bundle holding the full entries, for backups and moving between browsers
+ * - CSV: one flat row per run, for spreadsheets
+ * Imports also accept a bare array of entries (a copy of the old `completedSongs` localStorage
+ * value), and fill in the fields that older entries were saved without.
+ */
+import { getTestMode } from './testModes.js';
+
+export const HISTORY_FORMAT = 'lyrictype-history';
+export const HISTORY_VERSION = 1;
+
+// Fields added to entries over time; older entries get null so the UI's `!= null` checks skip them
+const NULLABLE_FIELDS = [
+	'artistUrlKey', 'imageUrl', 'albumArtId', 'geniusUrl',
+	'rawWpm', 'correctedErrors', 'uncorrectedErrors', 'consistency', 'wpmHistory',
+	'testMode', 'strictness', 'errorMode', 'dailyDate', 'difficulty',
+	'excerpt', 'displayLineIndices', 'keystrokeLog', 'keyStats'
+];
+
+const CSV_COLUMNS = ['song', 'artist', 'mode', 'wpm', 'accuracy', 'duration_seconds', 'date'];
+
+/**
+ * Wrap entries in a versioned bundle.
+ * @param {Array<Object>} entries - Trash entries, newest first
+ */
+export function buildHistoryBundle(entries) {
+	return {
+		format: HISTORY_FORMAT,
+		version: HISTORY_VERSION,
+		exportedAt: new Date().toISOString(),
+		entries
+	};
+}
+
+function csvCell(value) {
+	let text = value == null ? '' : String(value);
+	// Spreadsheets run text starting with these as a formula (song titles come from Genius)
+	if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten entries to CSV, one row per run.
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function historyToCsv(entries) {
+	const rows = entries.map(entry => [
+		entry.title,
+		entry.artist,
+		getTestMode(entry.testMode).label,
+		entry.wpm,
+		entry.accuracy,
+		typeof entry.testDuration === 'number' ? Math.round(entry.testDuration * 60) : '', // Stored in minutes
+		entry.completedAt
+	].map(csvCell).join(','));
+	return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Bring an imported entry up to the current shape, or return null when it can't be used.
+ * @param {Object} entry
+ */
+export function normalizeImportedEntry(entry) {
+	if (!entry || typeof entry !== 'object') return null;
+	if (typeof entry.wpm !== 'number' || typeof entry.accuracy !== 'number') return null;
+	const completedAt = new Date(entry.completedAt);
+	if (Number.isNaN(completedAt.getTime())) return null;
+
+	const normalized = { ...entry, completedAt: completedAt.toISOString() };
+	NULLABLE_FIELDS.forEach(field => {
+		if (normalized[field] === undefined) normalized[field] = null;
+	});
+	['charactersTyped', 'incorrectChars', 'testDuration', 'lyricsLength'].forEach(field => {
+		if (typeof normalized[field] !== 'number') normalized[field] = 0;
+	});
+	normalized.title = entry.title || 'Unknown Song';
+	normalized.artist = entry.artist || 'Unknown Artist';
+	// Ids were always `${songId}_${timestamp}`; rebuild one for entries that lost it
+	normalized.id = entry.id || `${entry.songId}_${completedAt.getTime()}`;
+	normalized.fileName = entry.fileName
+		|| `${normalized.artist} - ${normalized.title}.mp3`.replace(/[<>:"/\\|?*]/g, '_');
+	normalized.fileSize = entry.fileSize || `${Math.round((entry.lyricsLength || 0) / 10)}KB`;
+	return normalized;
+}
+
+/**
+ * Read an exported bundle.
+ * @param {string} text - File contents
+ * @returns {{ entries: Array<Object>, skipped: number }}
+ * @throws {Error} With a message fit for the user when the file isn't a history export
+ */
+export function parseHistoryBundle(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		throw new Error('This file is not a history export.');
+	}
+
+	let rawEntries;
+	if (Array.isArray(data)) {
+		rawEntries = data;
+	} else if (data?.format === HISTORY_FORMAT && Array.isArray(data.entries)) {
+		if (typeof data.version !== 'number' || data.version > HISTORY_VERSION) {
+			throw new Error('This export is from a newer version of the app.');
+		}
+		rawEntries = data.entries;
+	} else {
+		throw new Error('This file is not a history export.');
+	}
+
+	const seen = new Set();
+	const entries = [];
+	rawEntries.forEach(raw => {
+		const entry = normalizeImportedEntry(raw);
+		if (entry && !seen.has(entry.id)) {
+			seen.add(entry.id);
+			entries.push(entry);
+		}
+	});
+	return { entries, skipped: rawEntries.length - entries.length };
+}
@@ -0,0 +1,61 @@
+/**
+ * Retention policies for the completed-song history (see trashService.js).
+ * A policy caps the history by run count or by age; runs past the cap are dropped for good.
+ * Personal bests and daily records are indexed separately, so they outlive the runs.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_HISTORY_RETENTION = 'forever';
+
+export const HISTORY_RETENTION_LIST = [
+	{ id: 'forever', label: 'Keep All' },
+	{ id: 'count-1000', label: 'Last 1000 Runs', maxCount: 1000 },
+	{ id: 'count-250', label: 'Last 250 Runs', maxCount: 250 },
+	{ id: 'days-365', label: 'Last Year', maxDays: 365 },
+	{ id: 'days-90', label: 'Last 90 Days', maxDays: 90 }
+];
+
+// Runs in the deleted area are kept this long before they are gone for good
+export const DELETED_RETENTION_DAYS = 30;
+
+/**
+ * Look up a policy by id, falling back to keeping everything for unknown ids.
+ * @param {string} id
+ */
+export function getHistoryRetention(id) {
+	return HISTORY_RETENTION_LIST.find(policy => policy.id === id) || HISTORY_RETENTION_LIST[0];
+}
+
+/**
+ * Split a history into the runs a policy keeps and the ones past its cap.
+ * @param {Array<Object>} entries - Trash entries, newest first
+ * @param {string} policyId - From HISTORY_RETENTION_LIST
+ * @param {number} [now]
+ * @returns {{ kept: Array<Object>, expired: Array<Object> }}
+ */
+export function applyRetention(entries, policyId, now = Date.now()) {
+	const policy = getHistoryRetention(policyId);
+	let kept = entries;
+	if (policy.maxDays) {
+		const cutoff = now - policy.maxDays * DAY_MS;
+		kept = kept.filter(entry => !(Date.parse(entry.completedAt) < cutoff));
+	}
+	if (policy.maxCount && kept.length > policy.maxCount) {
+		kept = kept.slice(0, policy.maxCount);
+	}
+	if (kept.length === entries.length) return { kept: entries, expired: [] };
+
+	const keptIds = new Set(kept.map(entry => entry.id));
+	return { kept, expired: entries.filter(entry => !keptIds.has(entry.id)) };
+}
+
+/**
+ * Deleted runs still inside the deleted-area retention window.
+ * @param {Array<{ deletedAt: string }>} deleted
+ * @param {number} [now]
+ */
+export function pruneDeleted(deleted, now = Date.now()) {
+	const cutoff = now - DELETED_RETENTION_DAYS * DAY_MS;
+	return deleted.filter(entry => !(Date.parse(entry.deletedAt) < cutoff));
+}
@@ -0,0 +1,133 @@
+/**
+ * Long-term statistics over the completed-song history (see trashService.js), for the Stats window.
+ * Trends run oldest to newest with a trailing moving average. The activity grid uses local
+ * calendar days, one column per week starting on Sunday, like a wall calendar.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TREND_WINDOW = 10; // Runs averaged into each point of the trend line
+export const ACTIVITY_WEEKS = 20;
+
+/**
+ * Totals across all runs. Durations are stored in minutes.
+ * @param {Array<Object>} entries - Trash entries
+ * @returns {{ songs: number, minutesTyped: number, charactersTyped: number, averageWpm: number, averageAccuracy: number }}
+ */
+export function summarizeHistory(entries) {
+	const songs = entries.length;
+	let minutesTyped = 0;
+	let charactersTyped = 0;
+	let wpmTotal = 0;
+	let accuracyTotal = 0;
+	entries.forEach(entry => {
+		minutesTyped += entry.testDuration || 0;
+		charactersTyped += entry.charactersTyped || 0;
+		wpmTotal += entry.wpm || 0;
+		accuracyTotal += entry.accuracy || 0;
+	});
+	return {
+		songs,
+		minutesTyped,
+		charactersTyped,
+		averageWpm: songs > 0 ? wpmTotal / songs : 0,
+		averageAccuracy: songs > 0 ? accuracyTotal / songs : 0
+	};
+}
+
+/**
+ * Trailing mean over the last `size` values (fewer at the start).
+ * @param {number[]} values
+ * @param {number} size
+ * @returns {number[]}
+ */
+export function movingAverage(values, size) {
+	const averages = [];
+	let sum = 0;
+	values.forEach((value, i) => {
+		sum += value;
+		if (i >= size) sum -= values[i - size];
+		averages.push(sum / Math.min(i + 1, size));
+	});
+	return averages;
+}
+
+/**
+ * Runs in the order they were completed, each with the moving average up to it.
+ * @param {Array<Object>} entries - Trash entries (newest first, as stored)
+ * @param {number} [size]
+ * @returns {Array<{ completedAt: string, wpm: number, accuracy: number, wpmAverage: number, accuracyAverage: number }>}
+ */
+export function buildTrend(entries, size = TREND_WINDOW) {
+	const ordered = entries
+		.filter(entry => entry.completedAt)
+		.sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+	const wpmAverages = movingAverage(ordered.map(entry => entry.wpm), size);
+	const accuracyAverages = movingAverage(ordered.map(entry => entry.accuracy), size);
+	return ordered.map((entry, i) => ({
+		completedAt: entry.completedAt,
+		wpm: entry.wpm,
+		accuracy: entry.accuracy,
+		wpmAverage: wpmAverages[i],
+		accuracyAverage: accuracyAverages[i]
+	}));
+}
+
+/**
+ * Average WPM and accuracy per artist, most-played first.
+ * @param {Array<Object>} entries
+ * @returns {Array<{ artist: string, runs: number, wpm: number, accuracy: number }>}
+ */
+export function getArtistAverages(entries) {
+	const byArtist = new Map();
+	entries.forEach(entry => {
+		const name = entry.artist || 'Unknown Artist';
+		const totals = byArtist.get(name) || { artist: name, runs: 0, wpm: 0, accuracy: 0 };
+		totals.runs += 1;
+		totals.wpm += entry.wpm || 0;
+		totals.accuracy += entry.accuracy || 0;
+		byArtist.set(name, totals);
+	});
+	return [...byArtist.values()]
+		.map(totals => ({ ...totals, wpm: totals.wpm / totals.runs, accuracy: totals.accuracy / totals.runs }))
+		.sort((a, b) => b.runs - a.runs || b.wpm - a.wpm);
+}
+
+function localDateKey(date) {
+	const month = String(date.getMonth() + 1).padStart(2, '0');
+	const day = String(date.getDate()).padStart(2, '0');
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Runs per day for the last few weeks, as columns of seven days (Sunday first).
+ * Days after today are null so the current week can be drawn partly empty.
+ * @param {Array<Object>} entries
+ * @param {number} [weeks]
+ * @param {Date} [today]
+ * @returns {Array<Array<{ date: string, runs: number }|null>>}
+ */
+export function buildActivityGrid(entries, weeks = ACTIVITY_WEEKS, today = new Date()) {
+	const runsByDay = new Map();
+	entries.forEach(entry => {
+		const completed = new Date(entry.completedAt);
+		if (Number.isNaN(completed.getTime())) return;
+		const key = localDateKey(completed);
+		runsByDay.set(key, (runsByDay.get(key) || 0) + 1);
+	});
+
+	const todayKey = localDateKey(today);
+	// Noon avoids daylight-saving shifts moving a step onto the wrong day
+	const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - (weeks - 1) * 7, 12);
+	const columns = [];
+	for (let week = 0; week < weeks; week++) {
+		const column = [];
+		for (let weekday = 0; weekday < 7; weekday++) {
+			const date = new Date(start.getTime() + (week * 7 + weekday) * DAY_MS);
+			const key = localDateKey(date);
+			column.push(key > todayKey ? null : { date: key, runs: runsByDay.get(key) || 0 });
+		}
+		columns.push(column);
+	}
+	return columns;
+}
@@ -0,0 +1,183 @@
+/**
+ * Per-character and per-letter-pair miss and latency tallies built from keystroke logs.
+ * Each tally maps a lyric character (or pair of characters) to a compact
+ * [attempts, misses, latencyTotalMs, latencySamples] tuple so it stays small in localStorage.
+ * Keys are the characters as they appear in the lyrics, before customNormalize, so
+ * curly apostrophes and accented letters keep their own entries.
+ */
+import { buildReplayTimeline } from './keystrokeLog.js';
+import { customNormalize } from './textNormalize.js';
+
+const ATTEMPTS = 0;
+const MISSES = 1;
+const LATENCY_TOTAL = 2;
+const LATENCY_SAMPLES = 3;
+
+// Gaps longer than this are the user reading ahead or looking away, not key latency
+const MAX_LATENCY_MS = 2000;
+
+// US QWERTY rows used by the keyboard heatmap
+export const KEYBOARD_ROWS = [
+	['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
+	['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
+	['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'"],
+	['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/'],
+	[' ']
+];
+
+// Shifted characters share a key with their unshifted counterpart
+const SHIFTED_KEYS = {
+	'~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7',
+	'*': '8', '(': '9', ')': '0', '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\',
+	':': ';', '"': "'", '<': ',', '>': '.', '?': '/'
+};
+
+/**
+ * @returns {{ chars: Object<string, number[]>, bigrams: Object<string, number[]> }}
+ */
+export function createKeyStats() {
+	return { chars: {}, bigrams: {} };
+}
+
+// Line breaks are typed as spaces
+function toStatKey(char) {
+	return char === '\n' ? ' ' : char;
+}
+
+function tally(table, key, missed, latency) {
+	const entry = table[key] || (table[key] = [0, 0, 0, 0]);
+	entry[ATTEMPTS]++;
+	if (missed) entry[MISSES]++;
+	if (latency !== null) {
+		entry[LATENCY_TOTAL] += Math.round(latency);
+		entry[LATENCY_SAMPLES]++;
+	}
+}
+
+/**
+ * Tally every inserted character of a session against the character expected at its position.
+ * Retyping a position after a backspace counts as another attempt, so fumbled keys that were
+ * corrected, or refused by a stop mode, still show up. Latency is the active time since the previous keystroke and is only
+ * taken for single-character inserts (pastes and autocorrect don't reflect key reach).
+ * @param {Object} log - Keystroke log (see keystrokeLog.js)
+ * @param {string} originalText - Lyrics as displayed, used for the tally keys
+ * @param {string} expectedText - Normalized lyrics that input is compared against
+ * @param {(text: string) => string} normalize - Same normalization applied to typed input
+ * @returns {{ chars: Object<string, number[]>, bigrams: Object<string, number[]> }}
+ */
+export function buildKeyStats(log, originalText, expectedText, normalize) {
+	const stats = createKeyStats();
+	let previousAt = null;
+
+	buildReplayTimeline(log).forEach(({ at, event }) => {
+		if (event.type === 'key' || event.type === 'rejected') {
+			const typed = normalize(event.text);
+			const latency = typed.length === 1 && previousAt !== null && at - previousAt <= MAX_LATENCY_MS
+				? at - previousAt
+				: null;
+
+			for (let i = 0; i < typed.length; i++) {
+				const pos = event.pos + i;
+				const original = originalText[pos];
+				if (original === undefined) continue;
+
+				const key = toStatKey(original);
+				const missed = typed[i] !== expectedText[pos];
+				tally(stats.chars, key, missed, latency);
+
+				// Letter pairs only; pairs spanning a word break say little about finger movement
+				const previous = pos > 0 ? toStatKey(originalText[pos - 1]) : null;
+				if (previous && previous !== ' ' && key !== ' ') {
+					tally(stats.bigrams, previous + key, missed, latency);
+				}
+			}
+		}
+		previousAt = at;
+	});
+
+	return stats;
+}
+
+function mergeTable(target, source) {
+	Object.entries(source || {}).forEach(([key, values]) => {
+		const entry = target[key] || (target[key] = [0, 0, 0, 0]);
+		for (let i = 0; i < entry.length; i++) {
+			entry[i] += values[i] || 0;
+		}
+	});
+}
+
+/**
+ * Sum the key stats of every saved test. Entries saved before key stats existed are skipped.
+ * @param {Array<Object>} songs - Trash entries
+ * @returns {{ chars: Object<string, number[]>, bigrams: Object<string, number[]>, tests: number }}
+ */
+export function aggregateKeyStats(songs) {
+	const total = { ...createKeyStats(), tests: 0 };
+	(songs || []).forEach(song => {
+		if (!song?.keyStats) return;
+		mergeTable(total.chars, song.keyStats.chars);
+		mergeTable(total.bigrams, song.keyStats.bigrams);
+		total.tests++;
+	});
+	return total;
+}
+
+/**
+ * Turn a tally entry into readable numbers.
+ * @param {number[]} values
+ * @returns {{ attempts: number, misses: number, missRate: number, averageLatency: number|null }}
+ */
+export function describeKeyStat(values) {
+	const attempts = values?.[ATTEMPTS] || 0;
+	const misses = values?.[MISSES] || 0;
+	const samples = values?.[LATENCY_SAMPLES] || 0;
+	return {
+		attempts,
+		misses,
+		missRate: attempts > 0 ? misses / attempts : 0,
+		averageLatency: samples > 0 ? values[LATENCY_TOTAL] / samples : null
+	};
+}
+
+/**
+ * Rank keys from a tally, worst first: highest miss rate, then slowest.
+ * @param {Object<string, number[]>} table - `chars` or `bigrams` from a key stats object
+ * @param {{ limit?: number, minAttempts?: number }} [options] - minAttempts filters out keys seen too rarely to judge
+ * @returns {Array<{ key: string, attempts: number, misses: number, missRate: number, averageLatency: number|null }>}
+ */
+export function getWeakestKeys(table, { limit = 10, minAttempts = 5 } = {}) {
+	return Object.entries(table || {})
+		.map(([key, values]) => ({ key, ...describeKeyStat(values) }))
+		.filter(stat => stat.attempts >= minAttempts)
+		.sort((a, b) => (b.missRate - a.missRate) || ((b.averageLatency || 0) - (a.averageLatency || 0)))
+		.slice(0, limit);
+}
+
+/**
+ * Map a lyric character to the physical key that types it (lowercase QWERTY legend).
+ * Accented letters fold to their base letter the same way typed input is normalized.
+ * @param {string} char
+ * @returns {string|null} null when the character isn't on a US keyboard
+ */
+export function toKeyboardKey(char) {
+	const folded = customNormalize(char).toLowerCase();
+	if (folded.length !== 1) return null;
+	const key = SHIFTED_KEYS[folded] || folded;
+	return KEYBOARD_ROWS.some(row => row.includes(key)) ? key : null;
+}
+
+/**
+ * Collapse a per-character tally onto keyboard keys for the heatmap.
+ * @param {Object<string, number[]>} table - `chars` from a key stats object
+ * @returns {Object<string, number[]>} Tally keyed by keyboard key
+ */
+export function groupByKeyboardKey(table) {
+	const grouped = {};
+	Object.entries(table || {}).forEach(([char, values]) => {
+		const key = toKeyboardKey(char);
+		if (key === null) return;
+		mergeTable(grouped, { [key]: values });
+	});
+	return grouped;
+}
@@ -0,0 +1,142 @@
+/**
+ * Keystroke log for a single typing session (Media Typer).
+ * Every change to the hidden input is stored as a diff against the previous value,
+ * so backspaces, multi-character deletes and pastes replay exactly. Pauses are
+ * recorded as their own events so replay and timing can skip over them.
+ */
+export const KEYSTROKE_LOG_VERSION = 1;
+
+// Timestamps are kept to a tenth of a millisecond to keep stored logs small
+function roundTime(ms) {
+	return Math.round(ms * 10) / 10;
+}
+
+function now() {
+	return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * @returns {{ version: number, origin: number|null, events: Array<Object> }}
+ */
+export function createKeystrokeLog() {
+	return { version: KEYSTROKE_LOG_VERSION, origin: null, events: [] };
+}
+
+function pushEvent(log, event, timestamp) {
+	if (log.origin === null) {
+		log.origin = timestamp;
+	}
+	log.events.push({ t: roundTime(timestamp - log.origin), ...event });
+}
+
+/**
+ * Record a change of the typed value.
+ * @param {Object} log - Log created by createKeystrokeLog
+ * @param {string} previousValue - Input value before the change
+ * @param {string} nextValue - Input value after the change
+ * @param {number} [timestamp] - High-resolution time (defaults to performance.now())
+ */
+export function recordInputChange(log, previousValue, nextValue, timestamp = now()) {
+	const prev = previousValue || '';
+	const next = nextValue || '';
+	if (prev === next) return;
+
+	let prefix = 0;
+	while (prefix < prev.length && prefix < next.length && prev[prefix] === next[prefix]) {
+		prefix++;
+	}
+	const removed = prev.length - prefix;
+	const text = next.slice(prefix);
+
+	pushEvent(log, {
+		type: text.length > 0 ? 'key' : 'backspace',
+		pos: prefix,
+		removed,
+		text
+	}, timestamp);
+}
+
+/**
+ * Record a key the input refused (see utils/errorModes.js). The typed value is unchanged,
+ * but the key still counts as a miss in the error breakdown and key stats.
+ * @param {Object} log
+ * @param {number} position - Position the key was typed at
+ * @param {string} text - The refused key
+ * @param {number} [timestamp]
+ */
+export function recordRejectedKey(log, position, text, timestamp = now()) {
+	pushEvent(log, { type: 'rejected', pos: position, removed: 0, text }, timestamp);
+}
+
+/**
+ * Record the start of a pause. Ignored before the first keystroke.
+ */
+export function recordPause(log, timestamp = now()) {
+	if (log.origin === null) return;
+	pushEvent(log, { type: 'pause' }, timestamp);
+}
+
+/**
+ * Record the end of a pause. Ignored before the first keystroke.
+ */
+export function recordResume(log, timestamp = now()) {
+	if (log.origin === null) return;
+	pushEvent(log, { type: 'resume' }, timestamp);
+}
+
+/**
+ * Apply a single input event to a value.
+ * @param {string} value
+ * @param {Object} event - 'key' or 'backspace' event
+ * @returns {string}
+ */
+export function applyInputEvent(value, event) {
+	if (event.type !== 'key' && event.type !== 'backspace') return value;
+	return value.slice(0, event.pos) + (event.text || '') + value.slice(event.pos + event.removed);
+}
+
+/**
+ * Convert the log into input events with pause time removed, so the session can be
+ * played back at the speed it was typed.
+ * @param {Object} log
+ * @returns {Array<{ at: number, value: string, event: Object }>} `at` is active ms since the first keystroke
+ */
+export function buildReplayTimeline(log) {
+	const timeline = [];
+	if (!log || !Array.isArray(log.events)) return timeline;
+
+	let value = '';
+	let pausedTotal = 0;
+	let pauseStart = null;
+
+	for (const event of log.events) {
+		if (event.type === 'pause') {
+			if (pauseStart === null) pauseStart = event.t;
+			continue;
+		}
+		if (event.type === 'resume') {
+			if (pauseStart !== null) {
+				pausedTotal += event.t - pauseStart;
+				pauseStart = null;
+			}
+			continue;
+		}
+		if (pauseStart !== null) {
+			// A keystroke can't happen while paused; close the pause defensively
+			pausedTotal += event.t - pauseStart;
+			pauseStart = null;
+		}
+		value = applyInputEvent(value, event);
+		timeline.push({ at: Math.max(0, event.t - pausedTotal), value, event });
+	}
+
+	return timeline;
+}
+
+/**
+ * Total active (unpaused) duration covered by the log, in ms.
+ */
+export function getActiveDuration(log) {
+	const timeline = buildReplayTimeline(log);
+	return timeline.length > 0 ? timeline[timeline.length - 1].at : 0;
+}
@@ -0,0 +1,110 @@
+/**
+ * Per-line and per-section speed and accuracy for the results screen, rebuilt from the keystroke log.
+ * A line's time runs from when the input first reached its first character to when it first
+ * reached its end (the line break included), so pauses between lines count towards the next line.
+ */
+import { buildReplayTimeline } from './keystrokeLog.js';
+import { calculateRawWpm } from './typingMetrics.js';
+
+function toRow(label, totals) {
+	return {
+		label,
+		wpm: calculateRawWpm(totals.chars, totals.durationMs),
+		accuracy: totals.attempts > 0 ? ((totals.attempts - totals.errors) / totals.attempts) * 100 : 100
+	};
+}
+
+/**
+ * Tally each line of a finished test. Lines the test never reached are left out.
+ * @param {Object} log - Keystroke log (see keystrokeLog.js)
+ * @param {string} text - Text that was typed, as displayed
+ * @param {string} expectedText - Normalized text the input was compared against
+ * @param {(text: string) => string} normalize - Same normalization applied to typed input
+ * @returns {Array<{ line: number, text: string, chars: number, durationMs: number, attempts: number, errors: number }>}
+ */
+export function buildLineTotals(log, text, expectedText, normalize) {
+	const timeline = buildReplayTimeline(log);
+	if (timeline.length === 0) return [];
+
+	const lines = text.split('\n');
+	const starts = [];
+	let offset = 0;
+	lines.forEach(line => {
+		starts.push(offset);
+		offset += line.length + 1;
+	});
+	const lineAt = pos => {
+		let line = 0;
+		while (line + 1 < starts.length && starts[line + 1] <= pos) line++;
+		return line;
+	};
+
+	const totals = lines.map((line, i) => ({ line: i, text: line, chars: 0, durationMs: 0, attempts: 0, errors: 0 }));
+
+	// Every key pressed, refused ones included, counts towards the line it was typed on
+	timeline.forEach(({ event }) => {
+		if (event.type !== 'key' && event.type !== 'rejected') return;
+		const typed = normalize(event.text);
+		for (let i = 0; i < typed.length; i++) {
+			const pos = event.pos + i;
+			if (pos >= expectedText.length) continue;
+			const entry = totals[lineAt(pos)];
+			entry.attempts++;
+			if (typed[i] !== expectedText[pos]) entry.errors++;
+		}
+	});
+
+	const finalLength = Math.min(timeline[timeline.length - 1].value.length, text.length);
+	const reachedAt = length => {
+		if (length <= 0) return 0;
+		const point = timeline.find(point => point.value.length >= length);
+		return point ? point.at : null;
+	};
+
+	totals.forEach((entry, i) => {
+		const start = starts[i];
+		const end = Math.min(i + 1 < starts.length ? starts[i + 1] : text.length, finalLength);
+		const startAt = reachedAt(start);
+		const endAt = reachedAt(end);
+		if (end <= start || startAt === null || endAt === null) return;
+		entry.chars = end - start;
+		entry.durationMs = endAt - startAt;
+	});
+
+	return totals.filter(entry => entry.chars > 0);
+}
+
+/**
+ * One results row per line.
+ * @param {Array<Object>} lineTotals - From buildLineTotals
+ * @returns {Array<{ label: string, wpm: number, accuracy: number }>}
+ */
+export function breakdownByLine(lineTotals) {
+	return lineTotals.map(entry => toRow(entry.text.trim(), entry));
+}
+
+/**
+ * One results row per run of consecutive lines in the same section.
+ * @param {Array<Object>} lineTotals - From buildLineTotals
+ * @param {(line: number) => string|null} sectionLabelOf - Label of the section a typed line belongs to
+ * @returns {Array<{ label: string, wpm: number, accuracy: number }>|null} null when no line has a section
+ */
+export function breakdownBySection(lineTotals, sectionLabelOf) {
+	const groups = [];
+	lineTotals.forEach(entry => {
+		const label = sectionLabelOf(entry.line);
+		const last = groups[groups.length - 1];
+		if (last && last.label === label && last.nextLine === entry.line) {
+			last.totals.chars += entry.chars;
+			last.totals.durationMs += entry.durationMs;
+			last.totals.attempts += entry.attempts;
+			last.totals.errors += entry.errors;
+			last.nextLine++;
+		} else {
+			groups.push({ label, nextLine: entry.line + 1, totals: { ...entry } });
+		}
+	});
+
+	if (!groups.some(group => group.label)) return null;
+	return groups.map(group => toRow(group.label || 'Other', group.totals));
+}
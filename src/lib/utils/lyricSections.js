@@ -0,0 +1,74 @@
+/**
+ * Helpers for the section metadata the scraper stores with each song (`lyricsSections`).
+ * Sections look like { label, type, performer, startLine, endLine } where the line range
+ * indexes the song's non-empty lyric lines and endLine is exclusive.
+ */
+export const DEFAULT_SECTION_FILTER = 'all';
+
+export const SECTION_FILTERS = [
+	{ id: 'all', label: 'All Sections' },
+	{ id: 'chorus', label: 'Choruses' },
+	{ id: 'featured', label: 'Featured Verses' }
+];
+
+/**
+ * Look up a filter by id, falling back to all sections for unknown ids.
+ * @param {string} id
+ */
+export function getSectionFilter(id) {
+	return SECTION_FILTERS.find(filter => filter.id === id) || SECTION_FILTERS[0];
+}
+
+/**
+ * @param {Array<Object>|null} sections
+ * @param {number} lineNumber - Index into the song's non-empty lines
+ * @returns {Object|null} The section containing the line
+ */
+export function getSectionForLine(sections, lineNumber) {
+	if (!Array.isArray(sections)) return null;
+	return sections.find(section => lineNumber >= section.startLine && lineNumber < section.endLine) || null;
+}
+
+/**
+ * Header text shown above the lyrics, e.g. "Verse 2 - Future".
+ * @param {Object} section
+ */
+export function formatSectionLabel(section) {
+	return section.performer ? `${section.label} - ${section.performer}` : section.label;
+}
+
+// A verse by someone other than the song's main artist
+function isFeaturedVerse(section, primaryArtist) {
+	if (section.type !== 'verse' || !section.performer) return false;
+	if (!primaryArtist) return true;
+	return !section.performer.toLowerCase().includes(primaryArtist.toLowerCase());
+}
+
+/**
+ * Keep only the lines of the sections the filter asks for.
+ * Songs scraped before sections were recorded, and filters that match nothing, keep every line.
+ * @param {string[]} lines - The song's non-empty lines
+ * @param {Array<Object>|null} sections
+ * @param {string} filterId - Filter id from SECTION_FILTERS
+ * @param {string} [primaryArtist] - Main artist, used to tell featured verses apart
+ * @returns {{ lines: string[], lineNumbers: number[] }} lineNumbers maps each kept line back to its index in `lines`
+ */
+export function selectSectionLines(lines, sections, filterId, primaryArtist = '') {
+	const all = { lines, lineNumbers: lines.map((_, i) => i) };
+	const filter = getSectionFilter(filterId).id;
+	if (filter === 'all' || !Array.isArray(sections) || sections.length === 0) return all;
+
+	const matches = sections.filter(section =>
+		filter === 'chorus' ? section.type === 'chorus' : isFeaturedVerse(section, primaryArtist)
+	);
+
+	const lineNumbers = [];
+	matches.forEach(section => {
+		for (let i = section.startLine; i < Math.min(section.endLine, lines.length); i++) {
+			lineNumbers.push(i);
+		}
+	});
+	if (lineNumbers.length === 0) return all;
+
+	return { lines: lineNumbers.map(i => lines[i]), lineNumbers };
+}
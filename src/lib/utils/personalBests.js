@@ -0,0 +1,106 @@
+/**
+ * Personal-best index over completed tests (see trashService.js).
+ * Bests are kept per song, per artist and overall, each split by test mode since a
+ * 15 second sprint and a whole song aren't comparable. Runs are ranked by net WPM,
+ * with accuracy breaking ties.
+ */
+import { DEFAULT_TEST_MODE } from './testModes.js';
+
+/**
+ * @returns {{ songs: Object<string, Object>, artists: Object<string, Object>, overall: Object<string, Object> }}
+ */
+export function createPersonalBests() {
+	return { songs: {}, artists: {}, overall: {} };
+}
+
+// Entries saved before test modes existed were all excerpts
+function modeOf(testMode) {
+	return testMode || DEFAULT_TEST_MODE;
+}
+
+export function songBestKey(songId, testMode) {
+	return `${songId}|${modeOf(testMode)}`;
+}
+
+export function artistBestKey(artistUrlKey, testMode) {
+	return `${artistUrlKey}|${modeOf(testMode)}`;
+}
+
+function toBest(entry) {
+	return {
+		entryId: entry.id,
+		wpm: entry.wpm,
+		accuracy: entry.accuracy,
+		completedAt: entry.completedAt
+	};
+}
+
+/**
+ * Whether a run beats a best (net WPM first, accuracy breaking ties).
+ * @param {{ wpm: number, accuracy: number }} entry
+ * @param {{ wpm: number, accuracy: number }|null} best
+ */
+export function isBetter(entry, best) {
+	return !best || entry.wpm > best.wpm || (entry.wpm === best.wpm && entry.accuracy > best.accuracy);
+}
+
+/**
+ * Check a completed test against the index and record it wherever it is a new best.
+ * The index is updated in place.
+ * @param {Object} index - Index from createPersonalBests
+ * @param {Object} entry - Trash entry ({ id, songId, artistUrlKey, testMode, wpm, accuracy, completedAt })
+ * @returns {{ song: Object, artist: Object|null, overall: Object }} Per scope: { previous, isBest },
+ *   where previous is the best before this run (null on a first run). artist is null without an artistUrlKey.
+ */
+export function recordPersonalBest(index, entry) {
+	const scopes = {
+		song: [index.songs, songBestKey(entry.songId, entry.testMode)],
+		artist: entry.artistUrlKey ? [index.artists, artistBestKey(entry.artistUrlKey, entry.testMode)] : null,
+		overall: [index.overall, modeOf(entry.testMode)]
+	};
+
+	const result = {};
+	Object.entries(scopes).forEach(([scope, target]) => {
+		if (!target) {
+			result[scope] = null;
+			return;
+		}
+		const [table, key] = target;
+		const previous = table[key] || null;
+		const isBest = isBetter(entry, previous);
+		if (isBest) table[key] = toBest(entry);
+		result[scope] = { previous, isBest };
+	});
+	return result;
+}
+
+/**
+ * Rebuild the index from a list of trash entries (newest first, as the trash stores them).
+ * @param {Array<Object>} entries
+ */
+export function buildPersonalBests(entries) {
+	const index = createPersonalBests();
+	[...(entries || [])].reverse().forEach(entry => {
+		if (entry.songId && typeof entry.wpm === 'number') recordPersonalBest(index, entry);
+	});
+	return index;
+}
+
+/**
+ * @param {Object} index
+ * @param {string} songId
+ * @param {string} testMode
+ * @returns {Object|null} { entryId, wpm, accuracy, completedAt }
+ */
+export function getSongBest(index, songId, testMode) {
+	return index?.songs?.[songBestKey(songId, testMode)] || null;
+}
+
+/**
+ * Whether a trash entry is the run currently holding its song's best.
+ * @param {Object} index
+ * @param {Object} entry
+ */
+export function isSongBestEntry(index, entry) {
+	return getSongBest(index, entry.songId, entry.testMode)?.entryId === entry.id;
+}
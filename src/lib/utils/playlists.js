@@ -0,0 +1,109 @@
+/**
+ * Saved playlists: a name plus an ordered list of song refs (see playlistStore in trashService.js).
+ * A ref keeps the song's title and artist next to its ids so the Playlists window and the queue
+ * can list songs without loading them. Songs appear at most once per playlist.
+ */
+
+export const PLAYLIST_NAME_MAX = 40;
+
+/**
+ * Trimmed, length-capped playlist name, or '' when nothing is left.
+ * @param {string} name
+ */
+export function normalizePlaylistName(name) {
+	return String(name || '').trim().replace(/\s+/g, ' ').slice(0, PLAYLIST_NAME_MAX);
+}
+
+/**
+ * @param {string} name
+ * @param {number} [now]
+ * @returns {{ id: string, name: string, songs: Array<Object>, createdAt: string, updatedAt: string }}
+ */
+export function createPlaylist(name, now = Date.now()) {
+	const timestamp = new Date(now).toISOString();
+	return {
+		id: `playlist_${now}_${Math.random().toString(36).slice(2, 8)}`,
+		name: normalizePlaylistName(name) || 'Untitled Playlist',
+		songs: [],
+		createdAt: timestamp,
+		updatedAt: timestamp
+	};
+}
+
+/**
+ * Playlist ref for a queue song, a trash entry or a finished test.
+ * Queue songs carry their id as `id`; trash entries use `id` for the run, so `songId` wins.
+ * @param {Object} song
+ * @returns {{ songId: string, artistUrlKey: string, title: string, artist: string }|null} null without the ids needed to load it again
+ */
+export function toSongRef(song) {
+	const songId = song?.songId ?? song?.id;
+	if (songId === undefined || songId === null || !song.artistUrlKey) return null;
+	return {
+		songId: String(songId),
+		artistUrlKey: song.artistUrlKey,
+		title: song.title || 'Untitled',
+		artist: song.artist || ''
+	};
+}
+
+export function hasSong(playlist, songId) {
+	return playlist.songs.some(ref => ref.songId === String(songId));
+}
+
+function touch(playlist, changes) {
+	return { ...playlist, ...changes, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Append songs that aren't in the playlist yet.
+ * @param {Object} playlist
+ * @param {Array<Object>} refs - From toSongRef
+ * @returns {{ playlist: Object, added: number }}
+ */
+export function addSongsToPlaylist(playlist, refs) {
+	const seen = new Set(playlist.songs.map(ref => ref.songId));
+	const added = refs.filter(ref => ref && !seen.has(ref.songId) && seen.add(ref.songId));
+	if (added.length === 0) return { playlist, added: 0 };
+	return { playlist: touch(playlist, { songs: [...playlist.songs, ...added] }), added: added.length };
+}
+
+export function removeSongFromPlaylist(playlist, index) {
+	return touch(playlist, { songs: playlist.songs.filter((_, i) => i !== index) });
+}
+
+/**
+ * Move a song to another position, clamped to the playlist.
+ * @param {Object} playlist
+ * @param {number} from
+ * @param {number} to
+ */
+export function moveSongInPlaylist(playlist, from, to) {
+	const target = Math.max(0, Math.min(playlist.songs.length - 1, to));
+	if (from === target || !playlist.songs[from]) return playlist;
+	const songs = [...playlist.songs];
+	const [moved] = songs.splice(from, 1);
+	songs.splice(target, 0, moved);
+	return touch(playlist, { songs });
+}
+
+export function renamePlaylist(playlist, name) {
+	const normalized = normalizePlaylistName(name);
+	return normalized ? touch(playlist, { name: normalized }) : playlist;
+}
+
+/**
+ * Playlists from storage, dropping anything malformed.
+ * @param {unknown} value
+ * @returns {Array<Object>}
+ */
+export function sanitizePlaylists(value) {
+	if (!Array.isArray(value)) return [];
+	return value
+		.filter(playlist => playlist && typeof playlist.id === 'string' && Array.isArray(playlist.songs))
+		.map(playlist => ({
+			...playlist,
+			name: normalizePlaylistName(playlist.name) || 'Untitled Playlist',
+			songs: playlist.songs.map(toSongRef).filter(Boolean)
+		}));
+}
@@ -0,0 +1,99 @@
+/**
+ * Shuffle, repeat, ordering and difficulty filter modes for the song queue (see CacheAwareQueueManager.arrange).
+ * Orders read the per-song metadata the backend stores on the artist doc as `songMeta`
+ * ({ title, releaseDate, pageviews, difficulty } by song id); songs missing a field sort after the rest
+ * in their natural order. Shuffle is a seeded permutation, so the same seed always gives the
+ * same queue and preloading around the current song stays valid.
+ */
+
+export const QUEUE_ORDERS = [
+	{ id: 'default', label: 'Default Order', short: '' },
+	{ id: 'popularity', label: 'Most Popular First', short: 'P', field: 'pageviews' },
+	{ id: 'release', label: 'Newest First', short: 'N', field: 'releaseDate' },
+	{ id: 'title', label: 'By Title', short: 'A', field: 'title' },
+	{ id: 'difficulty', label: 'Easiest First', short: 'D', field: 'difficulty' }
+];
+
+export const REPEAT_MODES = [
+	{ id: 'off', label: 'Repeat Off' },
+	{ id: 'all', label: 'Repeat All' },
+	{ id: 'one', label: 'Repeat One' }
+];
+
+export const DEFAULT_QUEUE_MODE = { shuffle: false, order: 'default', repeat: 'off', difficulty: 'all' };
+
+export function getQueueOrder(id) {
+	return QUEUE_ORDERS.find(order => order.id === id) || QUEUE_ORDERS[0];
+}
+
+export function getRepeatMode(id) {
+	return REPEAT_MODES.find(mode => mode.id === id) || REPEAT_MODES[0];
+}
+
+// mulberry32: small, fast and good enough to shuffle a playlist
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Fisher-Yates shuffle driven by a seed. The input is not modified.
+ * @param {Array} items
+ * @param {number} seed
+ */
+export function seededShuffle(items, seed) {
+	const random = createRandom(seed);
+	const shuffled = [...items];
+	for (let i = shuffled.length - 1; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+	}
+	return shuffled;
+}
+
+/**
+ * Whether any song in the queue has the metadata an order needs.
+ * @param {string} orderId
+ * @param {string[]} songIds
+ * @param {Object<string, Object>} songMeta
+ */
+export function isOrderAvailable(orderId, songIds, songMeta) {
+	const field = getQueueOrder(orderId).field;
+	if (!field) return true;
+	return songIds.some(id => songMeta[id]?.[field] !== undefined && songMeta[id]?.[field] !== null);
+}
+
+/**
+ * Song ids sorted by an order. Sorting is stable, so ties and songs without metadata keep their natural order.
+ * @param {string[]} songIds - In natural queue order
+ * @param {string} orderId - From QUEUE_ORDERS
+ * @param {Object<string, Object>} songMeta
+ * @returns {string[]}
+ */
+export function orderSongIds(songIds, orderId, songMeta) {
+	const field = getQueueOrder(orderId).field;
+	if (!field) return [...songIds];
+
+	const compare = {
+		pageviews: (a, b) => b - a,
+		difficulty: (a, b) => a - b,
+		releaseDate: (a, b) => b.localeCompare(a),
+		title: (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+	}[field];
+
+	return songIds
+		.map((id, position) => ({ id, position, value: songMeta[id]?.[field] ?? null }))
+		.sort((a, b) => {
+			if (a.value === null || b.value === null) {
+				return (a.value === null) - (b.value === null) || a.position - b.position;
+			}
+			return compare(a.value, b.value) || a.position - b.position;
+		})
+		.map(entry => entry.id);
+}
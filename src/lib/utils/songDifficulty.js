@@ -0,0 +1,45 @@
+/**
+ * Difficulty levels for songs. The backend scores each song's lyrics from 0 (easy) to 100 (hard)
+ * (see functions/songDifficulty.js) and stores the score on the song doc and in the artist's
+ * `songMeta`; the client only buckets scores into levels for badges and the queue filter.
+ * Songs that haven't been scored yet belong to no level, and every filter keeps them so a
+ * filter never empties a queue whose songs simply haven't been scored.
+ */
+
+export const DIFFICULTY_LEVELS = [
+	{ id: 'easy', label: 'Easy', short: 'E', below: 25 },
+	{ id: 'medium', label: 'Medium', short: 'M', below: 50 },
+	{ id: 'hard', label: 'Hard', short: 'H', below: Infinity }
+];
+
+export const DEFAULT_DIFFICULTY_FILTER = 'all';
+
+export const DIFFICULTY_FILTERS = [
+	{ id: 'all', label: 'All Difficulties', short: '' },
+	...DIFFICULTY_LEVELS.map(level => ({ id: level.id, label: `${level.label} Songs`, short: level.short }))
+];
+
+export function getDifficultyFilter(id) {
+	return DIFFICULTY_FILTERS.find(filter => filter.id === id) || DIFFICULTY_FILTERS[0];
+}
+
+/**
+ * Level a score falls in.
+ * @param {number|null|undefined} score
+ * @returns {{ id: string, label: string, short: string }|null} null for unscored songs
+ */
+export function getDifficultyLevel(score) {
+	if (typeof score !== 'number') return null;
+	return DIFFICULTY_LEVELS.find(level => score < level.below);
+}
+
+/**
+ * Whether a song with this score passes a difficulty filter. Unscored songs pass every filter.
+ * @param {number|null|undefined} score
+ * @param {string} filterId
+ */
+export function matchesDifficulty(score, filterId) {
+	const level = getDifficultyLevel(score);
+	if (!level || getDifficultyFilter(filterId).id === 'all') return true;
+	return level.id === filterId;
+}
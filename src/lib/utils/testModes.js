@@ -0,0 +1,63 @@
+/**
+ * Test shapes for Media Typer.
+ * - excerpt: the song's excerpt (see excerptStrategies.js)
+ * - time: type for a fixed number of seconds, pulling more lines as needed
+ * - words: type a fixed number of words, pulling more lines as needed
+ * - song: type the whole song from the current scroll position
+ */
+export const DEFAULT_TEST_MODE = 'excerpt';
+
+export const TEST_MODES = [
+	{ id: 'excerpt', label: 'Excerpt', type: 'excerpt' },
+	{ id: 'time-15', label: '15 Seconds', type: 'time', seconds: 15 },
+	{ id: 'time-30', label: '30 Seconds', type: 'time', seconds: 30 },
+	{ id: 'time-60', label: '60 Seconds', type: 'time', seconds: 60 },
+	{ id: 'time-120', label: '120 Seconds', type: 'time', seconds: 120 },
+	{ id: 'words-25', label: '25 Words', type: 'words', words: 25 },
+	{ id: 'words-50', label: '50 Words', type: 'words', words: 50 },
+	{ id: 'words-100', label: '100 Words', type: 'words', words: 100 },
+	{ id: 'song', label: 'Whole Song', type: 'song' }
+];
+
+/**
+ * Look up a mode by id, falling back to the excerpt mode for unknown ids
+ * (e.g. a stale cookie from an older version).
+ * @param {string} id
+ */
+export function getTestMode(id) {
+	return TEST_MODES.find(mode => mode.id === id) || TEST_MODES[0];
+}
+
+/**
+ * Whether the mode types more than the fixed excerpt and so needs lines beyond it.
+ * @param {string} id
+ */
+export function isContinuousMode(id) {
+	return getTestMode(id).type !== 'excerpt';
+}
+
+/**
+ * Cut a list of lines down to a word budget. The line holding the last word is
+ * truncated after that word.
+ * @param {string[]} lines
+ * @param {number} wordLimit
+ * @returns {{ lines: string[], complete: boolean }} complete is false when the lines hold fewer words than the limit
+ */
+export function limitLinesToWords(lines, wordLimit) {
+	const result = [];
+	let remaining = wordLimit;
+
+	for (const line of lines) {
+		if (remaining <= 0) break;
+		const words = line.trim().split(/\s+/).filter(Boolean);
+		if (words.length <= remaining) {
+			result.push(line);
+			remaining -= words.length;
+		} else {
+			result.push(words.slice(0, remaining).join(' '));
+			remaining = 0;
+		}
+	}
+
+	return { lines: result, complete: remaining <= 0 };
+}
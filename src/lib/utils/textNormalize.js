@@ -0,0 +1,112 @@
+/**
+ * Character normalization used to compare typed input against lyrics.
+ * normalize-text folds diacritics; customCharMap covers characters it leaves alone
+ * (typographic quotes, inverted punctuation, dotless i, ...).
+ *
+ * How much gets folded depends on the character strictness level:
+ * - exact: only line breaks are folded, so "é" must be typed as "é"
+ * - lenient: diacritics and the common typographic characters in customCharMap fold
+ * - ascii: lenient, plus every quote, dash and space variant is shown and matched as plain ASCII
+ */
+import { normalizeDiacritics } from 'normalize-text';
+
+// Mappings for characters that aren't handled by normalize-text
+export const customCharMap = {
+	'¿': '?',
+	'¡': '!',
+	'\n': ' ',
+	'ı': 'i',
+	'İ': 'I',
+	'’': "'",
+	'‘': "'",
+	"—": "-",
+};
+
+/**
+ * Apply both normalize-text and our custom mappings.
+ * @param {string} text
+ * @returns {string}
+ */
+export function customNormalize(text) {
+	// Ensure we're working with a string
+	let normalized = String(text || '');
+
+	// Apply custom replacements
+	Object.entries(customCharMap).forEach(([from, to]) => {
+		normalized = normalized.replace(new RegExp(from, 'g'), to);
+	});
+
+	// Apply diacritic normalization
+	normalized = normalizeDiacritics(normalized);
+
+	return normalized;
+}
+
+export const DEFAULT_STRICTNESS = 'lenient';
+
+export const STRICTNESS_LEVELS = [
+	{ id: 'exact', label: 'Exact' },
+	{ id: 'lenient', label: 'Lenient' },
+	{ id: 'ascii', label: 'ASCII Only' }
+];
+
+// Typographic characters folded on top of customCharMap in ASCII mode
+export const asciiCharMap = {
+	'“': '"',
+	'”': '"',
+	'„': '"',
+	'«': '"',
+	'»': '"',
+	'‚': "'",
+	'′': "'",
+	'´': "'",
+	'`': "'",
+	'–': '-',
+	'‒': '-',
+	'−': '-',
+	'‐': '-',
+	'\u00A0': ' ',
+	'…': '...',
+};
+
+/**
+ * Look up a strictness level by id, falling back to lenient for unknown ids.
+ * @param {string} id
+ */
+export function getStrictnessLevel(id) {
+	return STRICTNESS_LEVELS.find(level => level.id === id) || STRICTNESS_LEVELS[1];
+}
+
+/**
+ * Rewrite lyrics for display in ASCII mode, so the text on screen is what a US layout can type.
+ * This can change the text's length (an ellipsis becomes three dots), so it is applied to the
+ * lyrics before they are shown rather than when comparing.
+ * @param {string} text
+ * @returns {string}
+ */
+export function toAsciiText(text) {
+	let folded = String(text || '');
+	Object.entries({ ...customCharMap, ...asciiCharMap }).forEach(([from, to]) => {
+		// Keep line breaks so the lyrics keep their lines
+		if (from === '\n') return;
+		folded = folded.split(from).join(to);
+	});
+	return normalizeDiacritics(folded);
+}
+
+/**
+ * The normalization typed input and lyrics are both passed through before comparing.
+ * Always maps one character to one character so positions line up.
+ * @param {string} id - Strictness level id
+ * @returns {(text: string) => string}
+ */
+export function getNormalizer(id) {
+	switch (getStrictnessLevel(id).id) {
+		case 'exact':
+			return text => String(text || '').replace(/\n/g, ' ');
+		case 'ascii':
+			return text => customNormalize(text).replace(/[“”„«»‚′´`–‒−‐\u00A0]/g, char => asciiCharMap[char]);
+		default:
+			return customNormalize;
+	}
+}
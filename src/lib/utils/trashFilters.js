@@ -0,0 +1,80 @@
+/**
+ * Search, filters and sort order for the Trash window (see TrashDisplay.svelte).
+ * Grades are filtered by letter, so "A" matches A+, A and A- (see getPerformanceGrade in trashService.js).
+ * Date bounds are local calendar days from <input type="date">, both inclusive.
+ */
+
+export const GRADE_FILTERS = [
+	{ id: 'all', label: 'Any Grade' },
+	{ id: 'S', label: 'S' },
+	{ id: 'A', label: 'A' },
+	{ id: 'B', label: 'B' },
+	{ id: 'C', label: 'C' },
+	{ id: 'D', label: 'D' },
+	{ id: 'F', label: 'F' }
+];
+
+export const TRASH_SORTS = [
+	{ id: 'date', label: 'Date' },
+	{ id: 'wpm', label: 'WPM' },
+	{ id: 'accuracy', label: 'Accuracy' },
+	{ id: 'duration', label: 'Duration' }
+];
+
+/**
+ * @returns {{ search: string, grade: string, mode: string, from: string, to: string }}
+ */
+export function createTrashFilters() {
+	return { search: '', grade: 'all', mode: 'all', from: '', to: '' };
+}
+
+export function hasActiveFilters(filters) {
+	return Boolean(filters.search.trim() || filters.grade !== 'all' || filters.mode !== 'all' || filters.from || filters.to);
+}
+
+function localDayStart(dateKey) {
+	const [year, month, day] = dateKey.split('-').map(Number);
+	return new Date(year, month - 1, day).getTime();
+}
+
+/**
+ * Keep the entries that match every filter.
+ * @param {Array<Object>} entries - Trash entries
+ * @param {Object} filters - From createTrashFilters
+ * @param {(wpm: number, accuracy: number) => string} getGrade - getPerformanceGrade
+ * @param {string} defaultMode - Mode of entries saved before test modes existed
+ */
+export function filterTrash(entries, filters, getGrade, defaultMode) {
+	const search = filters.search.trim().toLowerCase();
+	const from = filters.from ? localDayStart(filters.from) : -Infinity;
+	const to = filters.to ? localDayStart(filters.to) + 24 * 60 * 60 * 1000 : Infinity;
+
+	return entries.filter(entry => {
+		if (search && !`${entry.title} ${entry.artist}`.toLowerCase().includes(search)) return false;
+		if (filters.grade !== 'all' && getGrade(entry.wpm, entry.accuracy)[0] !== filters.grade) return false;
+		if (filters.mode !== 'all' && (entry.testMode || defaultMode) !== filters.mode) return false;
+		const completed = Date.parse(entry.completedAt);
+		return completed >= from && completed < to;
+	});
+}
+
+/**
+ * Sorted copy of the entries. Ties keep the newest run first.
+ * @param {Array<Object>} entries
+ * @param {string} sortId - From TRASH_SORTS
+ * @param {boolean} descending
+ */
+export function sortTrash(entries, sortId, descending = true) {
+	const valueOf = {
+		date: entry => Date.parse(entry.completedAt) || 0,
+		wpm: entry => entry.wpm || 0,
+		accuracy: entry => entry.accuracy || 0,
+		duration: entry => entry.testDuration || 0
+	}[sortId] || (entry => Date.parse(entry.completedAt) || 0);
+
+	const direction = descending ? -1 : 1;
+	return [...entries].sort((a, b) =>
+		(valueOf(a) - valueOf(b)) * direction
+		|| (Date.parse(b.completedAt) || 0) - (Date.parse(a.completedAt) || 0)
+	);
+}
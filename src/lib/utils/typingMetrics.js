@@ -0,0 +1,141 @@
+/**
+ * Typing test metrics shared by the live WPM counter, the results screen and the trash history.
+ * WPM follows the usual convention of five characters per word.
+ */
+import { buildReplayTimeline } from './keystrokeLog.js';
+
+const CHARS_PER_WORD = 5;
+
+/**
+ * Count characters marked incorrect in a typingState.classes snapshot.
+ * @param {Array<Object>} classes - Word items ({ type: 'word', chars }) and space items ({ type: 'space', class })
+ * @returns {number}
+ */
+export function countIncorrectChars(classes) {
+	let incorrectChars = 0;
+	(classes || []).forEach(item => {
+		if (item.type === 'word') {
+			item.chars.forEach(charClass => {
+				if (charClass === 'incorrect') incorrectChars++;
+			});
+		} else if (item.class === 'incorrect') {
+			incorrectChars++;
+		}
+	});
+	return incorrectChars;
+}
+
+/**
+ * Gross WPM: everything typed, errors included.
+ * @param {number} charactersTyped
+ * @param {number} durationMs - Active (unpaused) typing time
+ */
+export function calculateRawWpm(charactersTyped, durationMs) {
+	const minutes = durationMs / 60000;
+	if (minutes <= 0) return 0;
+	return (charactersTyped / CHARS_PER_WORD) / minutes;
+}
+
+/**
+ * Net WPM: raw WPM minus one word per uncorrected error per minute.
+ * @param {number} charactersTyped
+ * @param {number} uncorrectedErrors - Characters still wrong when the test ended
+ * @param {number} durationMs - Active (unpaused) typing time
+ */
+export function calculateNetWpm(charactersTyped, uncorrectedErrors, durationMs) {
+	const minutes = durationMs / 60000;
+	if (minutes <= 0) return 0;
+	return Math.max(0, ((charactersTyped / CHARS_PER_WORD) - uncorrectedErrors) / minutes);
+}
+
+/**
+ * Split errors into those fixed before the end of the test and those left in place.
+ * Every inserted character is checked against the expected text at its position, so
+ * a key that was mistyped and then backspaced, or refused by a stop mode, counts as a corrected error.
+ * @param {Object} log - Keystroke log (see keystrokeLog.js)
+ * @param {string} expectedText - Normalized text the user was typing
+ * @param {(text: string) => string} normalize - Same normalization applied to typed input
+ * @param {number} uncorrectedErrors - Incorrect characters in the final state
+ * @returns {{ totalErrors: number, correctedErrors: number, uncorrectedErrors: number }}
+ */
+export function countErrorBreakdown(log, expectedText, normalize, uncorrectedErrors) {
+	let totalErrors = 0;
+	buildReplayTimeline(log).forEach(({ event }) => {
+		if (event.type !== 'key' && event.type !== 'rejected') return;
+		const typed = normalize(event.text);
+		for (let i = 0; i < typed.length; i++) {
+			const expected = expectedText[event.pos + i];
+			if (expected === undefined || typed[i] !== expected) totalErrors++;
+		}
+	});
+	totalErrors = Math.max(totalErrors, uncorrectedErrors);
+	return {
+		totalErrors,
+		correctedErrors: totalErrors - uncorrectedErrors,
+		uncorrectedErrors
+	};
+}
+
+/**
+ * Create a sampler that turns the live WPM interval into one data point per active second.
+ * @returns {{ samples: Array<Object>, sample: Function }}
+ */
+export function createWpmSampler() {
+	const samples = [];
+	let lastCharacters = 0;
+	let lastElapsedMs = 0;
+
+	return {
+		samples,
+		/**
+		 * @param {number} elapsedMs - Active typing time so far
+		 * @param {number} charactersTyped - Characters in the input so far
+		 * @param {number} incorrectChars - Characters currently marked incorrect
+		 * @param {boolean} [force] - Record a trailing partial second (used when the test ends)
+		 */
+		sample(elapsedMs, charactersTyped, incorrectChars, force = false) {
+			const second = Math.floor(elapsedMs / 1000);
+			const lastSecond = samples.length > 0 ? samples[samples.length - 1].second : 0;
+			if (second <= lastSecond && !force) return;
+			if (elapsedMs <= lastElapsedMs) return;
+
+			const windowMs = elapsedMs - lastElapsedMs;
+			samples.push({
+				second: force ? Math.round(elapsedMs / 100) / 10 : second,
+				wpm: round(calculateNetWpm(charactersTyped, incorrectChars, elapsedMs)),
+				raw: round(calculateRawWpm(charactersTyped, elapsedMs)),
+				burst: round(calculateRawWpm(Math.max(0, charactersTyped - lastCharacters), windowMs)),
+				errors: incorrectChars
+			});
+			lastCharacters = charactersTyped;
+			lastElapsedMs = elapsedMs;
+		}
+	};
+}
+
+/**
+ * Consistency score from per-second typing speed.
+ * Uses the coefficient of variation (stddev / mean) of burst WPM; 100 means perfectly even pace.
+ * @param {Array<{ burst: number }>} samples
+ * @returns {{ consistency: number, coefficientOfVariation: number }}
+ */
+export function calculateConsistency(samples) {
+	const values = (samples || []).map(s => s.burst).filter(v => Number.isFinite(v));
+	if (values.length < 2) {
+		return { consistency: 100, coefficientOfVariation: 0 };
+	}
+	const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+	if (mean <= 0) {
+		return { consistency: 0, coefficientOfVariation: 1 };
+	}
+	const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+	const coefficientOfVariation = Math.sqrt(variance) / mean;
+	return {
+		consistency: round(Math.max(0, Math.min(100, (1 - coefficientOfVariation) * 100))),
+		coefficientOfVariation: Math.round(coefficientOfVariation * 1000) / 1000
+	};
+}
+
+function round(value) {
+	return Math.round(value * 100) / 100;
+}